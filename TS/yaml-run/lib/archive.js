@@ -0,0 +1,337 @@
+/**
+ * Dependency-free zip and tar writers for `fs: zip` / `fs: tar`.
+ * Entries are produced in the order given so archives are reproducible from the same tree.
+ * File bodies are streamed from disk into the archive one at a time, so memory
+ * use does not grow with the size of the archived tree.
+ */
+
+const textEncoder = new TextEncoder();
+const ZIP_MAX_SIZE = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * @typedef {{
+ *     name: string,
+ *     isDirectory: boolean,
+ *     sourcePath: string,
+ *     size: number,
+ *     mtime: Date,
+ *     mode: number,
+ * }} ArchiveEntry
+ *
+ * @typedef {{
+ *     offset: number,
+ *     write: (chunk: Uint8Array) => Promise<void>,
+ * }} ArchiveSink
+ */
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * Feeds `data` into a running CRC-32; start from 0xffffffff and finish with `^ 0xffffffff`.
+ *
+ * @param {number} crc
+ * @param {Uint8Array} data
+ */
+function updateCrc32(crc, data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let index = 0; index < 256; index++) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit++) {
+                value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+            }
+
+            crcTable[index] = value >>> 0;
+        }
+    }
+
+    for (const byte of data) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return crc >>> 0;
+}
+
+/**
+ * Writes an archive to `writable`, counting the bytes written so far. The
+ * stream is closed when `build` succeeds and aborted when it throws.
+ *
+ * @param {WritableStream<Uint8Array>} writable
+ * @param {(sink: ArchiveSink) => Promise<void>} build
+ */
+async function writeArchive(writable, build) {
+    const writer = writable.getWriter();
+    /** @type {ArchiveSink} */
+    const sink = {
+        offset: 0,
+        async write(chunk) {
+            await writer.write(chunk);
+            sink.offset += chunk.length;
+        },
+    };
+
+    try {
+        await build(sink);
+        await writer.close();
+    } catch (error) {
+        await writer.abort(error).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Streams the body of a file entry, checking it still has the size it was listed with.
+ *
+ * @param {ArchiveEntry} entry
+ * @param {(chunk: Uint8Array) => Promise<void>} onChunk
+ */
+async function streamEntryBody(entry, onChunk) {
+    const file = await Deno.open(entry.sourcePath, { read: true });
+    let size = 0;
+
+    for await (const chunk of file.readable) {
+        size += chunk.length;
+        await onChunk(chunk);
+    }
+
+    if (size !== entry.size) {
+        throw new Error(`fs: ${entry.name} changed size while it was being archived.`);
+    }
+}
+
+/**
+ * @param {Date} date
+ */
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Writes a zip archive. File bodies are deflated as they stream in, so their
+ * CRC and sizes follow each body in a data descriptor.
+ *
+ * @param {ArchiveEntry[]} entries
+ * @param {WritableStream<Uint8Array>} writable Closed once the archive is complete.
+ * @returns {Promise<void>}
+ */
+export function writeZipArchive(entries, writable) {
+    return writeArchive(writable, async (sink) => {
+        if (entries.length > ZIP_MAX_ENTRIES) {
+            throw new Error(`fs: zip supports at most ${ZIP_MAX_ENTRIES} entries.`);
+        }
+
+        /** @type {Uint8Array[]} */
+        const centralChunks = [];
+        let centralSize = 0;
+
+        for (const entry of entries) {
+            const name = textEncoder.encode(entry.isDirectory ? `${entry.name}/` : entry.name);
+            const offset = sink.offset;
+            const method = entry.isDirectory ? 0 : 8;
+            const flags = entry.isDirectory ? 0x0800 : 0x0808; // UTF-8 names; sizes in a data descriptor
+            const { time, date } = toDosDateTime(entry.mtime);
+
+            if (entry.size > ZIP_MAX_SIZE || offset > ZIP_MAX_SIZE) {
+                throw new Error(`fs: zip cannot store ${entry.name}: archives over 4 GB are not supported.`);
+            }
+
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);
+            localHeader.setUint16(4, 20, true);
+            localHeader.setUint16(6, flags, true);
+            localHeader.setUint16(8, method, true);
+            localHeader.setUint16(10, time, true);
+            localHeader.setUint16(12, date, true);
+            localHeader.setUint16(26, name.length, true);
+            localHeader.setUint16(28, 0, true);
+            await sink.write(new Uint8Array(localHeader.buffer));
+            await sink.write(name);
+
+            let crc = 0xffffffff;
+            let compressedSize = 0;
+
+            if (!entry.isDirectory) {
+                const compression = new CompressionStream('deflate-raw');
+                const compressionWriter = compression.writable.getWriter();
+                const feeding = (async () => {
+                    try {
+                        await streamEntryBody(entry, async (chunk) => {
+                            crc = updateCrc32(crc, chunk);
+                            await compressionWriter.write(chunk);
+                        });
+                        await compressionWriter.close();
+                    } catch (error) {
+                        await compressionWriter.abort(error).catch(() => {});
+                        throw error;
+                    }
+                })();
+
+                const draining = (async () => {
+                    for await (const chunk of compression.readable) {
+                        compressedSize += chunk.length;
+                        await sink.write(chunk);
+                    }
+                })();
+
+                // Either side failing errors the other, so wait for both before reporting.
+                const [fed, drained] = await Promise.allSettled([feeding, draining]);
+                if (fed.status === 'rejected') {
+                    throw fed.reason;
+                }
+
+                if (drained.status === 'rejected') {
+                    throw drained.reason;
+                }
+
+                const descriptor = new DataView(new ArrayBuffer(16));
+                descriptor.setUint32(0, 0x08074b50, true);
+                descriptor.setUint32(4, (crc ^ 0xffffffff) >>> 0, true);
+                descriptor.setUint32(8, compressedSize, true);
+                descriptor.setUint32(12, entry.size, true);
+                await sink.write(new Uint8Array(descriptor.buffer));
+            }
+
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true);
+            centralHeader.setUint16(4, (3 << 8) | 20, true); // made by Unix so the mode below is honoured
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(8, flags, true);
+            centralHeader.setUint16(10, method, true);
+            centralHeader.setUint16(12, time, true);
+            centralHeader.setUint16(14, date, true);
+            centralHeader.setUint32(16, entry.isDirectory ? 0 : (crc ^ 0xffffffff) >>> 0, true);
+            centralHeader.setUint32(20, compressedSize, true);
+            centralHeader.setUint32(24, entry.isDirectory ? 0 : entry.size, true);
+            centralHeader.setUint16(28, name.length, true);
+            centralHeader.setUint32(38, ((entry.mode & 0xffff) << 16 | (entry.isDirectory ? 0x10 : 0)) >>> 0, true);
+            centralHeader.setUint32(42, offset, true);
+
+            centralChunks.push(new Uint8Array(centralHeader.buffer), name);
+            centralSize += 46 + name.length;
+        }
+
+        const centralOffset = sink.offset;
+        if (centralOffset > ZIP_MAX_SIZE) {
+            throw new Error('fs: zip cannot write the archive: archives over 4 GB are not supported.');
+        }
+
+        for (const chunk of centralChunks) {
+            await sink.write(chunk);
+        }
+
+        const endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054b50, true);
+        endRecord.setUint16(8, entries.length, true);
+        endRecord.setUint16(10, entries.length, true);
+        endRecord.setUint32(12, centralSize, true);
+        endRecord.setUint32(16, centralOffset, true);
+        await sink.write(new Uint8Array(endRecord.buffer));
+    });
+}
+
+/**
+ * @param {Uint8Array} header
+ * @param {number} offset
+ * @param {number} length
+ * @param {string} value
+ */
+function writeTarField(header, offset, length, value) {
+    header.set(textEncoder.encode(value).subarray(0, length), offset);
+}
+
+/**
+ * @param {Uint8Array} header
+ * @param {number} offset
+ * @param {number} length
+ * @param {number} value
+ */
+function writeTarOctal(header, offset, length, value) {
+    writeTarField(header, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+/**
+ * Splits a long path into the ustar `prefix` and `name` fields. ustar headers
+ * hold at most 255 bytes of path (a 155-byte directory prefix plus a 100-byte
+ * name), so longer paths are rejected rather than truncated.
+ *
+ * @param {string} entryName
+ */
+function splitTarName(entryName) {
+    const length = textEncoder.encode(entryName).length;
+    if (length <= 100) {
+        return { prefix: '', name: entryName };
+    }
+
+    for (let index = entryName.indexOf('/'); index !== -1; index = entryName.indexOf('/', index + 1)) {
+        const prefix = entryName.slice(0, index);
+        const name = entryName.slice(index + 1);
+        if (textEncoder.encode(prefix).length <= 155 && textEncoder.encode(name).length <= 100) {
+            return { prefix, name };
+        }
+    }
+
+    throw new Error(
+        length > 255
+            ? `fs: tar cannot store ${entryName}: the path is ${length} bytes and ustar archives hold at most 255; use fs: zip or a shorter path.`
+            : `fs: tar cannot store ${entryName}: ustar archives need a "/" that splits the path into at most 155 + 100 bytes; use fs: zip or a shorter path.`
+    );
+}
+
+/**
+ * Writes a ustar archive, gzip-compressed when requested.
+ *
+ * @param {ArchiveEntry[]} entries
+ * @param {WritableStream<Uint8Array>} writable Closed once the archive is complete.
+ * @param {{ gzip?: boolean }} [options]
+ * @returns {Promise<void>}
+ */
+export async function writeTarArchive(entries, writable, options = {}) {
+    const compression = options.gzip ? new CompressionStream('gzip') : null;
+    const piping = compression ? compression.readable.pipeTo(writable) : Promise.resolve();
+
+    const writing = writeArchive(compression ? compression.writable : writable, async (sink) => {
+        for (const entry of entries) {
+            const { prefix, name } = splitTarName(entry.isDirectory ? `${entry.name}/` : entry.name);
+            const header = new Uint8Array(TAR_BLOCK_SIZE);
+
+            writeTarField(header, 0, 100, name);
+            writeTarOctal(header, 100, 8, entry.mode & 0o7777);
+            writeTarOctal(header, 108, 8, 0);
+            writeTarOctal(header, 116, 8, 0);
+            writeTarOctal(header, 124, 12, entry.isDirectory ? 0 : entry.size);
+            writeTarOctal(header, 136, 12, Math.floor(entry.mtime.getTime() / 1000));
+            writeTarField(header, 148, 8, '        ');
+            writeTarField(header, 156, 1, entry.isDirectory ? '5' : '0');
+            writeTarField(header, 257, 6, 'ustar\0');
+            writeTarField(header, 263, 2, '00');
+            writeTarField(header, 345, 155, prefix);
+
+            const checksum = header.reduce((total, byte) => total + byte, 0);
+            writeTarField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+            await sink.write(header);
+
+            if (!entry.isDirectory) {
+                await streamEntryBody(entry, (chunk) => sink.write(chunk));
+                const padding = (TAR_BLOCK_SIZE - (entry.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+                await sink.write(new Uint8Array(padding));
+            }
+        }
+
+        await sink.write(new Uint8Array(TAR_BLOCK_SIZE * 2));
+    });
+
+    const [written] = await Promise.allSettled([writing, piping]);
+    if (written.status === 'rejected') {
+        throw written.reason;
+    }
+
+    await piping;
+}
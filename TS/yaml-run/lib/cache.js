@@ -0,0 +1,263 @@
+import path from 'node:path';
+
+import { expandGlob } from 'jsr:@std/fs@1.0.23';
+
+import { createConfigFiles } from './constants.js';
+import { injectVariables } from './config.js';
+import { isGlobPattern, isPlainObject } from './utils.js';
+
+const TASK_CACHE_VERSION = 1;
+const textEncoder = new TextEncoder();
+
+/**
+ * @typedef {{
+ *     fingerprint: string,
+ *     completedAt: string,
+ * }} TaskCacheEntry
+ *
+ * @typedef {{
+ *     force: boolean,
+ *     isFresh: (taskName: string, fingerprint: string) => boolean,
+ *     record: (taskName: string, fingerprint: string) => Promise<void>,
+ * }} TaskCache
+ */
+
+async function statPath(targetPath) {
+    try {
+        return await Deno.stat(targetPath);
+    } catch (error) {
+        if (error instanceof Deno.errors.NotFound) {
+            return null;
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toPatternList(value) {
+    if (typeof value === 'string') {
+        return [value];
+    }
+
+    if (Array.isArray(value)) {
+        return value.filter((entry) => typeof entry === 'string');
+    }
+
+    return [];
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+export async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} directoryPath
+ * @param {string[]} files
+ */
+async function collectDirectoryFiles(directoryPath, files) {
+    for await (const entry of Deno.readDir(directoryPath)) {
+        const entryPath = path.join(directoryPath, entry.name);
+
+        if (entry.isDirectory) {
+            await collectDirectoryFiles(entryPath, files);
+        } else if (entry.isFile) {
+            files.push(entryPath);
+        }
+    }
+}
+
+/**
+ * Expands a declared input/output pattern into absolute file paths.
+ * Plain directory paths include every file beneath them.
+ *
+ * @param {string} siteRoot
+ * @param {string} pattern
+ * @returns {Promise<string[]>}
+ */
+export async function collectMatchedFiles(siteRoot, pattern) {
+    /** @type {string[]} */
+    const files = [];
+
+    if (isGlobPattern(pattern)) {
+        const globOptions = path.isAbsolute(pattern) ? { includeDirs: false } : { root: siteRoot, includeDirs: false };
+
+        for await (const entry of expandGlob(pattern, globOptions)) {
+            // `dir/**` also yields `dir` itself, even without `includeDirs`.
+            if (entry.isFile) {
+                files.push(path.resolve(siteRoot, entry.path));
+            }
+        }
+
+        return files;
+    }
+
+    const absolutePath = path.resolve(siteRoot, pattern);
+    const info = await statPath(absolutePath);
+
+    if (info?.isDirectory) {
+        await collectDirectoryFiles(absolutePath, files);
+    } else if (info?.isFile) {
+        files.push(absolutePath);
+    }
+
+    return files;
+}
+
+/**
+ * @param {Record<string, unknown>} task
+ */
+export function hasCacheDeclarations(task) {
+    return isPlainObject(task) && toPatternList(task.inputs).length > 0;
+}
+
+/**
+ * Checks that every declared output pattern still matches at least one file.
+ *
+ * @param {Record<string, unknown>} task
+ * @param {string} siteRoot
+ * @param {Record<string, unknown>} variables
+ */
+export async function hasDeclaredOutputs(task, siteRoot, variables) {
+    for (const pattern of toPatternList(task.outputs)) {
+        const outputFiles = await collectMatchedFiles(siteRoot, injectVariables(pattern, variables));
+        if (outputFiles.length === 0) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Injects variables into every string of a task definition.
+ *
+ * @param {unknown} value
+ * @param {Record<string, unknown>} variables
+ * @returns {unknown}
+ */
+function injectDefinition(value, variables) {
+    if (typeof value === 'string') {
+        return injectVariables(value, variables);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((entry) => injectDefinition(entry, variables));
+    }
+
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, injectDefinition(entry, variables)]));
+    }
+
+    return value;
+}
+
+/**
+ * Hashes the task definition together with every declared input file and what
+ * the run passes in: arguments after `--`, the `{{args.*}}` values, and the
+ * task's resolved `env` and `cwd`. A run with other arguments or environment
+ * does not reuse a cached result.
+ *
+ * @param {Record<string, unknown>} task
+ * @param {string} siteRoot
+ * @param {Record<string, unknown>} variables
+ * @param {{ forwardArgs?: string[], env?: Record<string, string>, cwd?: string }} [runInputs]
+ * @returns {Promise<string>}
+ */
+export async function computeTaskFingerprint(task, siteRoot, variables, runInputs = {}) {
+    const inputPatterns = toPatternList(task.inputs).map((pattern) => injectVariables(pattern, variables));
+
+    /** @type {Set<string>} */
+    const inputFiles = new Set();
+    for (const pattern of inputPatterns) {
+        for (const filePath of await collectMatchedFiles(siteRoot, pattern)) {
+            inputFiles.add(filePath);
+        }
+    }
+
+    const argumentVariables = Object.entries(variables)
+        .filter(([key]) => key.startsWith('args.'))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const env = Object.entries(runInputs.env ?? {}).sort(([a], [b]) => a.localeCompare(b));
+
+    const lines = [
+        `definition ${JSON.stringify(injectDefinition(task, variables))}`,
+        `args ${JSON.stringify(runInputs.forwardArgs ?? [])} ${JSON.stringify(argumentVariables)}`,
+        `env ${JSON.stringify(env)}`,
+        `cwd ${path.relative(siteRoot, runInputs.cwd ?? siteRoot).replace(/\\/g, '/')}`,
+    ];
+
+    for (const filePath of Array.from(inputFiles).sort()) {
+        const relativePath = path.relative(siteRoot, filePath).replace(/\\/g, '/');
+        lines.push(`${relativePath} ${await sha256Hex(await Deno.readFile(filePath))}`);
+    }
+
+    return sha256Hex(textEncoder.encode(lines.join('\n')));
+}
+
+/**
+ * @param {string} cachePath
+ * @returns {Promise<Record<string, TaskCacheEntry>>}
+ */
+async function readTaskCacheEntries(cachePath) {
+    try {
+        const rawCache = JSON.parse(await Deno.readTextFile(cachePath));
+        if (isPlainObject(rawCache) && rawCache.version === TASK_CACHE_VERSION && isPlainObject(rawCache.tasks)) {
+            return /** @type {Record<string, TaskCacheEntry>} */ (rawCache.tasks);
+        }
+    } catch (error) {
+        if (!(error instanceof Deno.errors.NotFound)) {
+            console.warn(`[yaml-run] Warning: Ignoring unreadable task cache at ${cachePath}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    return {};
+}
+
+/**
+ * Opens the per-site task cache stored under `.yaml-run/` next to scripts.yaml.
+ *
+ * @param {string} siteRoot
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<TaskCache>}
+ */
+export async function openTaskCache(siteRoot, options = {}) {
+    const configFiles = createConfigFiles(siteRoot);
+    const force = options.force === true;
+    // --force starts from an empty cache; entries are re-recorded as tasks pass.
+    const entries = force ? {} : await readTaskCacheEntries(configFiles.taskCache);
+
+    let pendingWrite = Promise.resolve();
+
+    const save = async () => {
+        await Deno.mkdir(configFiles.stateDir, { recursive: true });
+        await Deno.writeTextFile(
+            configFiles.taskCache,
+            `${JSON.stringify({ version: TASK_CACHE_VERSION, tasks: entries }, null, 4)}\n`
+        );
+    };
+
+    return {
+        force,
+        isFresh(taskName, fingerprint) {
+            return entries[taskName]?.fingerprint === fingerprint;
+        },
+        record(taskName, fingerprint) {
+            entries[taskName] = {
+                fingerprint,
+                completedAt: new Date().toISOString(),
+            };
+
+            // Parallel tasks finish independently, so writes are chained to keep the file consistent.
+            pendingWrite = pendingWrite.then(save, save);
+            return pendingWrite;
+        },
+    };
+}
@@ -0,0 +1,216 @@
+import { SUBCOMMANDS } from './constants.js';
+import { parseReportTarget } from './report.js';
+
+/**
+ * @typedef {{
+ *     command: 'run' | 'list' | 'describe' | 'validate' | 'graph' | 'tools' | 'help',
+ *     taskName: string | null,
+ *     force: boolean,
+ *     watch: boolean,
+ *     dryRun: boolean,
+ *     env: string | null,
+ *     strict: boolean,
+ *     reports: import('./report.js').ReportTarget[],
+ *     logDir: string | null,
+ *     format: import('./diagram.js').DiagramFormat,
+ *     catalogCache: boolean,
+ *     refresh: boolean,
+ *     taskArgs: string[],
+ * }} CliOptions
+ */
+
+export const USAGE = [
+    'Usage: yaml-run [options] <task_name> [-- <task arguments>]',
+    '       yaml-run run <task_name> [-- <task arguments>]',
+    '       yaml-run --list',
+    '       yaml-run --describe <task_name>',
+    '       yaml-run validate [--env <name>] [--strict]',
+    '       yaml-run graph <task_name> [--format mermaid|dot]',
+    '       yaml-run tools [--refresh]',
+    '',
+    'Commands:',
+    '  validate               Check scripts.yaml, its includes and vars.yaml against the JSON Schemas; exits 1 on errors.',
+    '  graph <task>           Print the task\'s steps as a Mermaid flowchart or, with --format dot, Graphviz DOT.',
+    '  tools                  List the workspace, npm and site-bin tools commands can call, and names that are ambiguous.',
+    '  run <task>             Run a task whose name is also a command, such as `validate`.',
+    '',
+    'Options:',
+    '  --list                 List every task with its shape, command kind and description.',
+    '  --describe <task>      Print the fully expanded step tree of a task.',
+    '  --env <name>           Overlay `environments.<name>` from vars.yaml (default: $YAML_RUN_ENV).',
+    '  --force                Ignore the task cache and re-run every task.',
+    '  --strict               Fail instead of running commands with unresolved {{placeholders}}.',
+    '  --watch                Re-run the task whenever its `watch` globs change.',
+    '  --dry-run              Print what each step would execute without running anything.',
+    '  --report <fmt>=<path>  Write a json, junit, mermaid or dot report of the run (repeatable).',
+    '  --log-dir <dir>        Also write the output of every command to <dir>/<run>-<node>-<command>.log.',
+    '  --no-catalog-cache     Rescan package.json/deno.json tools instead of using .yaml-run/tool-catalog.json.',
+    '  --refresh              With `tools`, rescan the tool catalog and rewrite its cache.',
+    '  --help                 Show this message.',
+    '  -- <args>              Forward the remaining arguments to the task.',
+].join('\n');
+
+/**
+ * @param {string} value
+ * @returns {import('./diagram.js').DiagramFormat}
+ */
+function parseDiagramFormat(value) {
+    if (value !== 'mermaid' && value !== 'dot') {
+        throw new Error(`Unknown graph format "${value}"; expected mermaid or dot.`);
+    }
+
+    return value;
+}
+
+/**
+ * Parses the yaml-run command line.
+ *
+ * @param {string[]} args
+ * @returns {CliOptions}
+ */
+export function parseCliArgs(args) {
+    /** @type {CliOptions} */
+    const options = {
+        command: 'run',
+        taskName: null,
+        force: false,
+        watch: false,
+        dryRun: false,
+        env: null,
+        strict: false,
+        reports: [],
+        logDir: null,
+        format: 'mermaid',
+        catalogCache: true,
+        refresh: false,
+        taskArgs: [],
+    };
+
+    let subcommandSeen = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--') {
+            // Everything after `--` belongs to the task, not to yaml-run.
+            options.taskArgs = args.slice(i + 1);
+            break;
+        }
+
+        switch (arg) {
+            case '--force': {
+                options.force = true;
+                break;
+            }
+            case '--watch': {
+                options.watch = true;
+                break;
+            }
+            case '--strict': {
+                options.strict = true;
+                break;
+            }
+            case '--dry-run': {
+                options.dryRun = true;
+                break;
+            }
+            case '--no-catalog-cache': {
+                options.catalogCache = false;
+                break;
+            }
+            case '--refresh': {
+                options.refresh = true;
+                break;
+            }
+            case '--env': {
+                if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+                    throw new Error('--env requires an environment name.');
+                }
+
+                options.env = args[++i];
+                break;
+            }
+            case '--report': {
+                if (i + 1 >= args.length) {
+                    throw new Error('--report requires a value such as json=report.json.');
+                }
+
+                options.reports.push(parseReportTarget(args[++i]));
+                break;
+            }
+            case '--log-dir': {
+                if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+                    throw new Error('--log-dir requires a directory.');
+                }
+
+                options.logDir = args[++i];
+                break;
+            }
+            case '--format': {
+                if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+                    throw new Error('--format requires mermaid or dot.');
+                }
+
+                options.format = parseDiagramFormat(args[++i]);
+                break;
+            }
+            case '--list': {
+                options.command = 'list';
+                break;
+            }
+            case '--describe': {
+                options.command = 'describe';
+                break;
+            }
+            case '--help':
+            case '-h': {
+                options.command = 'help';
+                break;
+            }
+            default: {
+                if (arg.startsWith('--env=')) {
+                    options.env = arg.slice('--env='.length) || null;
+                    break;
+                }
+
+                if (arg.startsWith('--report=')) {
+                    options.reports.push(parseReportTarget(arg.slice('--report='.length)));
+                    break;
+                }
+
+                if (arg.startsWith('--format=')) {
+                    options.format = parseDiagramFormat(arg.slice('--format='.length));
+                    break;
+                }
+
+                if (arg.startsWith('--log-dir=')) {
+                    options.logDir = arg.slice('--log-dir='.length) || null;
+                    break;
+                }
+
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+
+                // Only the first word can be a command, so `yaml-run run validate` runs a task named validate.
+                if (!subcommandSeen && options.taskName === null && options.command === 'run' && SUBCOMMANDS.includes(arg)) {
+                    options.command = /** @type {'run' | 'validate' | 'graph' | 'tools'} */ (arg);
+                    subcommandSeen = true;
+                    break;
+                }
+
+                if (options.taskName !== null || options.command === 'validate' || options.command === 'tools') {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+
+                options.taskName = arg;
+            }
+        }
+    }
+
+    if (options.refresh && options.command !== 'tools') {
+        throw new Error('--refresh only applies to `yaml-run tools`.');
+    }
+
+    return options;
+}
@@ -0,0 +1,180 @@
+import path from 'node:path';
+
+import { collectMatchedFiles, computeTaskFingerprint } from './cache.js';
+import { injectVariables } from './config.js';
+import { pathExists } from './fs-actions.js';
+import { isGlobPattern, isPlainObject } from './utils.js';
+
+/**
+ * `if:` conditions on tasks and steps. Every condition listed must hold for
+ * the step to run; otherwise it is recorded as SKIPPED.
+ */
+
+const CONDITION_USAGE = 'Use `os`, `exists`, `env`, `changed` or `equals`, e.g. `if: { os: windows }`.';
+const OS_ALIASES = { macos: 'darwin', mac: 'darwin', win: 'windows' };
+
+/**
+ * @typedef {{
+ *     os: string[],
+ *     exists: string[],
+ *     env: string[],
+ *     changed: string[],
+ *     equals: [string, string] | null,
+ * }} StepCondition
+ *
+ * @typedef {{
+ *     met: boolean,
+ *     reason: string,
+ *     changed: { key: string, fingerprint: string } | null,
+ * }} ConditionResult
+ */
+
+/**
+ * @param {unknown} value
+ * @param {string} key
+ * @returns {string[]}
+ */
+function toConditionList(value, key) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || !values.every((entry) => typeof entry === 'string' && entry.trim() !== '')) {
+        throw new Error(`The \`if.${key}\` condition must be a string or a list of strings.`);
+    }
+
+    return values.map((entry) => entry.trim());
+}
+
+/**
+ * Parses an `if:` map such as `{ os: [linux, macos], env: CI }`.
+ *
+ * - `os`: the current platform is one of these (`windows`, `linux`, `darwin`/`macos`).
+ * - `exists`: every path or glob, relative to the site root, matches something.
+ * - `env`: every variable is set and not empty; `NAME=value` requires that value.
+ * - `changed`: a matched file changed since the step last passed (tracked in the task cache).
+ * - `equals`: both values are the same once {{placeholders}} are filled in.
+ *
+ * @param {unknown} value
+ * @returns {StepCondition}
+ */
+export function parseCondition(value) {
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        throw new Error(`The \`if\` key must be a map of conditions. ${CONDITION_USAGE}`);
+    }
+
+    /** @type {StepCondition} */
+    const condition = { os: [], exists: [], env: [], changed: [], equals: null };
+
+    for (const [key, entry] of Object.entries(value)) {
+        switch (key) {
+            case 'os': {
+                condition.os = toConditionList(entry, key).map((name) => OS_ALIASES[name.toLowerCase()] ?? name.toLowerCase());
+                break;
+            }
+            case 'env': {
+                condition.env = toConditionList(entry, key);
+                const invalidName = condition.env.find((name) => !/^[A-Za-z_]\w*(=.*)?$/s.test(name));
+                if (invalidName) {
+                    throw new Error(`Invalid environment variable "${invalidName}" in \`if.env\`; use \`NAME\` or \`NAME=value\`.`);
+                }
+                break;
+            }
+            case 'exists':
+            case 'changed': {
+                condition[key] = toConditionList(entry, key);
+                break;
+            }
+            case 'equals': {
+                const isScalar = (/** @type {unknown} */ operand) => ['string', 'number', 'boolean'].includes(typeof operand);
+                if (!Array.isArray(entry) || entry.length !== 2 || !entry.every(isScalar)) {
+                    throw new Error('The `if.equals` condition must be a list of two values; quote placeholders, e.g. `equals: ["{{mode}}", production]`.');
+                }
+
+                condition.equals = [String(entry[0]), String(entry[1])];
+                break;
+            }
+            default: {
+                throw new Error(`Unknown condition "${key}". ${CONDITION_USAGE}`);
+            }
+        }
+    }
+
+    return condition;
+}
+
+/**
+ * @param {string} reason
+ * @returns {ConditionResult}
+ */
+function unmet(reason) {
+    return { met: false, reason, changed: null };
+}
+
+/**
+ * Evaluates a parsed condition. A `changed` condition that holds returns the
+ * fingerprint to record once the step passes, under `options.key`; without a
+ * task cache it always holds.
+ *
+ * @param {StepCondition} condition
+ * @param {{
+ *     siteRoot: string,
+ *     variables: Record<string, unknown>,
+ *     strictPlaceholders?: boolean,
+ *     taskCache?: import('./cache.js').TaskCache,
+ *     key: string,
+ * }} options
+ * @returns {Promise<ConditionResult>}
+ */
+export async function evaluateCondition(condition, options) {
+    const inject = (/** @type {string} */ text) => String(injectVariables(text, options.variables, { strict: options.strictPlaceholders }));
+
+    if (condition.os.length > 0 && !condition.os.includes(Deno.build.os)) {
+        return unmet(`the OS is ${Deno.build.os}, not ${condition.os.join(' or ')}`);
+    }
+
+    for (const entry of condition.env) {
+        const separatorIndex = entry.indexOf('=');
+        const name = separatorIndex === -1 ? entry : entry.slice(0, separatorIndex);
+        const actual = Deno.env.get(name);
+
+        if (separatorIndex === -1 && !actual) {
+            return unmet(`$${name} is not set`);
+        }
+
+        if (separatorIndex !== -1) {
+            const expected = inject(entry.slice(separatorIndex + 1));
+            if (actual !== expected) {
+                return unmet(`$${name} is not "${expected}"`);
+            }
+        }
+    }
+
+    for (const target of condition.exists) {
+        const injectedTarget = inject(target);
+        const found = isGlobPattern(injectedTarget)
+            ? (await collectMatchedFiles(options.siteRoot, injectedTarget)).length > 0
+            : await pathExists(path.resolve(options.siteRoot, injectedTarget)) !== null;
+
+        if (!found) {
+            return unmet(`${injectedTarget} does not exist`);
+        }
+    }
+
+    if (condition.equals) {
+        const [left, right] = condition.equals.map(inject);
+        if (left !== right) {
+            return unmet(`"${left}" is not "${right}"`);
+        }
+    }
+
+    if (condition.changed.length > 0 && options.taskCache) {
+        const key = `if.changed ${options.key}`;
+        const fingerprint = await computeTaskFingerprint({ inputs: condition.changed }, options.siteRoot, options.variables);
+
+        if (options.taskCache.isFresh(key, fingerprint)) {
+            return unmet(`nothing changed in ${condition.changed.join(', ')}`);
+        }
+
+        return { met: true, reason: '', changed: { key, fingerprint } };
+    }
+
+    return { met: true, reason: '', changed: null };
+}
@@ -2,7 +2,8 @@ import { pathToFileURL } from 'node:url';
 import path from 'node:path';
 import yaml from 'npm:js-yaml@^4.1.1';
 import { createConfigFiles } from './constants.js';
-import { flattenVariables, isPlainObject, getValueByPath } from './utils.js';
+import { BUILTIN_STATE, collectVariableScope, createBuiltinState, evaluatePlaceholder, PLACEHOLDER_PATTERN, quoteArgument, resolveBuiltinPlaceholder } from './placeholders.js';
+import { deepMerge, flattenVariables, isPlainObject, getValueByPath } from './utils.js';
 
 async function pathExists(filePath) {
     try {
@@ -131,14 +132,18 @@ export function assertVariablesResolved(variables) {
  * Supported placeholder keys:
  * - Absolute: {{paths.www}}, {{pkg.version}}
  * - Relative: {{www}} (resolved from sibling/ancestor keys)
+ * - Process environment and built-ins: {{env.NAME}}, {{git.sha}}, {{date.iso}}, {{os}}
+ *   (vars.yaml keys take precedence)
+ * - Defaults and filters: {{paths.out ?? "dist"}}, {{paths.dist | posix}} (see placeholders.js)
  *
  * Notes:
  * - Only resolves placeholders within string values.
  * - On undefined/cycles/non-primitive substitutions, leaves placeholders unchanged.
  *
  * @param {Record<string, unknown>} rootData
+ * @param {import('./placeholders.js').BuiltinState} builtins
  */
-function resolveVarsPlaceholders(rootData) {
+function resolveVarsPlaceholders(rootData, builtins) {
     /** @type {Map<string, unknown>} */
     const resolvedCache = new Map();
     /** @type {Set<string>} */
@@ -263,30 +268,25 @@ function resolveVarsPlaceholders(rootData) {
      * @param {Ancestor[]} containerAncestors
      */
     function resolveString(input, valuePathParts, containerAncestors) {
-        return input.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, key) => {
-            const refPathParts = resolvePlaceholderToPathParts(String(key), containerAncestors);
-            if (!refPathParts) {
-                console.warn(`[yaml-run] Warning: Variable {{${key}}} is undefined.`);
-                return match;
-            }
-
-            const resolved = resolveValueAtPath(refPathParts);
-            if (resolved === undefined) {
-                // Warning already emitted inside resolveValueAtPath (cycle/undefined)
-                return match;
-            }
-
-            if (
-                typeof resolved === 'string' ||
-                typeof resolved === 'number' ||
-                typeof resolved === 'boolean' ||
-                typeof resolved === 'bigint'
-            ) {
-                return String(resolved);
+        return input.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+            const result = evaluatePlaceholder(String(expression), (key) => {
+                const refPathParts = resolvePlaceholderToPathParts(key, containerAncestors);
+                if (refPathParts && getValueByPath(rootData, refPathParts) !== undefined) {
+                    // Cycles resolve to undefined; resolveValueAtPath has already warned.
+                    return resolveValueAtPath(refPathParts);
+                }
+
+                return resolveBuiltinPlaceholder(key, builtins);
+            });
+
+            if (result.resolved) {
+                return result.value;
             }
 
             console.warn(
-                `[yaml-run] Warning: Variable {{${key}}} resolved to a non-primitive value; leaving placeholder unchanged.`
+                result.reason === 'non-primitive'
+                    ? `[yaml-run] Warning: Variable {{${expression}}} resolved to a non-primitive value; leaving placeholder unchanged.`
+                    : `[yaml-run] Warning: Variable {{${expression}}} is undefined.`
             );
             return match;
         });
@@ -327,13 +327,25 @@ function resolveVarsPlaceholders(rootData) {
 }
 
 /**
- * Loads and resolves variables from vars.yaml and its referenced sources
+ * Loads and resolves variables from vars.yaml and its referenced sources.
+ *
+ * When an environment is selected (`--env <name>` or `YAML_RUN_ENV`), its
+ * `environments.<name>` overlay is deep-merged over `vars` before placeholders
+ * are resolved, so overridden values flow into every derived variable.
+ *
+ * @param {string} [siteRoot]
+ * @param {{ environment?: string | null }} [options]
  */
-export async function loadVariables(siteRoot = Deno.cwd()) {
+export async function loadVariables(siteRoot = Deno.cwd(), options = {}) {
+    const environment = options.environment || null;
     const configFiles = createConfigFiles(siteRoot);
 
     if (!(await pathExists(configFiles.vars))) {
-        return {};
+        if (environment) {
+            throw new Error(`Environment "${environment}" was requested but there is no vars.yaml.`);
+        }
+
+        return resolveVariables({}, createBuiltinState(siteRoot));
     }
 
     const rawConfig = yaml.load(await Deno.readTextFile(configFiles.vars)) || {};
@@ -366,25 +378,195 @@ export async function loadVariables(siteRoot = Deno.cwd()) {
         Object.assign(mergedData, rawConfig.vars);
     }
 
-    resolveVarsPlaceholders(mergedData);
-    return flattenVariables(mergedData);
+    // 3. Overlay the selected environment profile
+    if (environment) {
+        const environments = isPlainObject(rawConfig.environments) ? rawConfig.environments : {};
+        const overlay = environments[environment];
+
+        if (!isPlainObject(overlay)) {
+            const available = Object.keys(environments);
+            throw new Error(
+                `Environment "${environment}" is not defined in vars.yaml` +
+                (available.length > 0 ? ` (available: ${available.join(', ')}).` : '; add it under `environments:`.')
+            );
+        }
+
+        deepMerge(mergedData, overlay);
+    }
+
+    return resolveVariables(mergedData, createBuiltinState(siteRoot));
 }
 
 /**
- * Replaces {{key}} placeholders with values.
+ * Resolves the {{placeholders}} of a nested variable tree, shaped like the
+ * `vars:` section of vars.yaml, and flattens it into `paths.dist`-style keys.
+ * Resolves in place. The result carries `builtins` for the {{date.*}} and
+ * {{git.*}} placeholders of commands that run without a run of their own.
+ *
+ * @param {Record<string, unknown>} data
+ * @param {import('./placeholders.js').BuiltinState} builtins
+ * @returns {Record<string, unknown>}
+ */
+export function resolveVariables(data, builtins) {
+    resolveVarsPlaceholders(data, builtins);
+    return { ...flattenVariables(data), [BUILTIN_STATE]: builtins };
+}
+
+/**
+ * Parses dotenv text (`KEY=value`, optional `export`, quotes and `#` comments).
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseDotEnv(text) {
+    /** @type {Record<string, string>} */
+    const values = {};
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.length === 0 || line.startsWith('#')) {
+            continue;
+        }
+
+        const match = /^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/.exec(line);
+        if (!match) {
+            continue;
+        }
+
+        const [, key, rawValue] = match;
+        let value = rawValue;
+
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+        } else if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+            value = value.slice(1, -1);
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+
+        values[key] = value;
+    }
+
+    return values;
+}
+
+/**
+ * Loads a dotenv file, resolving relative paths from the site root.
+ *
+ * @param {string} siteRoot
+ * @param {string} filePath
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function loadEnvFile(siteRoot, filePath) {
+    const absolutePath = path.resolve(siteRoot, filePath);
+
+    try {
+        return parseDotEnv(await Deno.readTextFile(absolutePath));
+    } catch (error) {
+        if (error instanceof Deno.errors.NotFound) {
+            throw new Error(`Env file not found: ${filePath}`);
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * The built-in state a variable map carries, or a fresh one rooted at the
+ * working directory for maps built by hand.
+ *
+ * @param {Record<string, unknown>} variables
+ * @returns {import('./placeholders.js').BuiltinState}
+ */
+function getBuiltinState(variables) {
+    const state = /** @type {Record<symbol, unknown>} */ (variables)[BUILTIN_STATE];
+    return /** @type {import('./placeholders.js').BuiltinState | undefined} */ (state) ?? createBuiltinState(Deno.cwd());
+}
+
+/**
+ * Replaces {{placeholders}} in a command with flattened variables, process
+ * environment values and built-ins. Unresolved placeholders are left raw with a
+ * warning (none with `quiet`), or throw when `strict` is set.
  *
  * Note: We intentionally avoid the $(...) syntax because it collides with POSIX
  * shell command substitution.
+ *
+ * @param {unknown} commandStr
+ * @param {Record<string, unknown>} variables
+ * @param {{ strict?: boolean, quiet?: boolean }} [options]
  */
-export function injectVariables(commandStr, variables) {
+export function injectVariables(commandStr, variables, options = {}) {
     if (typeof commandStr !== 'string') return commandStr;
 
-    return commandStr.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, key) => {
-        const val = variables[key.trim()];
-        if (val === undefined) {
-            console.warn(`[yaml-run] Warning: Variable {{${key}}} is undefined.`);
-            return match; // Leave it raw if not found
+    return commandStr.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+        const result = evaluatePlaceholder(String(expression), (key) => {
+            return variables[key] ?? resolveBuiltinPlaceholder(key, getBuiltinState(variables)) ?? collectVariableScope(variables, key);
+        });
+
+        if (result.resolved) {
+            return result.value;
+        }
+
+        const problem = result.reason === 'non-primitive' ? 'is not a plain value (use `| json`)' : 'is undefined';
+        if (options.strict) {
+            throw new Error(`Placeholder ${match} ${problem}.`);
+        }
+
+        if (!options.quiet) {
+            console.warn(`[yaml-run] Warning: Variable {{${expression}}} ${problem}.`);
         }
-        return val;
+        return match; // Leave it raw if not found
     });
 }
+
+/**
+ * Builds the `args.*` placeholders for arguments passed after `--`.
+ *
+ * - {{args.0}}, {{args.1}}: positional access to every raw argument
+ * - {{args.all}}: every argument, quoted where needed
+ * - {{args.name}}: the value of `--name value` or `--name=value` (`true` for bare flags)
+ *
+ * @param {string[]} taskArgs
+ * @returns {Record<string, string>}
+ */
+export function createArgumentVariables(taskArgs) {
+    /** @type {Record<string, string>} */
+    const argumentVariables = {
+        'args.all': taskArgs.map((arg) => quoteArgument(arg)).join(' '),
+    };
+
+    taskArgs.forEach((arg, index) => {
+        argumentVariables[`args.${index}`] = arg;
+    });
+
+    for (let i = 0; i < taskArgs.length; i++) {
+        const flagMatch = /^--?([^=\s]+)(?:=(.*))?$/.exec(taskArgs[i]);
+        if (!flagMatch) {
+            continue;
+        }
+
+        const [, flagName, inlineValue] = flagMatch;
+        const nextArg = taskArgs[i + 1];
+
+        if (inlineValue !== undefined) {
+            argumentVariables[`args.${flagName}`] = inlineValue;
+        } else if (nextArg !== undefined && !nextArg.startsWith('-')) {
+            argumentVariables[`args.${flagName}`] = nextArg;
+            i++;
+        } else {
+            argumentVariables[`args.${flagName}`] = 'true';
+        }
+    }
+
+    return argumentVariables;
+}
+
+/**
+ * Returns true when a task definition consumes `{{args.*}}` placeholders itself,
+ * in which case the raw arguments are not appended to its final command.
+ *
+ * @param {unknown} task
+ */
+export function referencesArgumentVariables(task) {
+    return /\{\{\s*args\./.test(JSON.stringify(task) ?? '');
+}
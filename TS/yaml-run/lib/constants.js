@@ -6,8 +6,17 @@ const CONFIG_FILE_NAMES = {
     packageJson: 'package.json',
     denoJson: 'deno.json',
     denoJsonc: 'deno.jsonc',
+    stateDir: '.yaml-run',
+    taskCache: 'task-cache.json',
+    toolCatalogCache: 'tool-catalog.json',
 };
 
+/**
+ * Words that `yaml-run <word>` treats as a command rather than a task name.
+ * A task with one of these names runs with `yaml-run run <name>`.
+ */
+export const SUBCOMMANDS = ['run', 'validate', 'graph', 'tools'];
+
 async function pathExists(filePath) {
     try {
         await Deno.stat(filePath);
@@ -95,5 +104,8 @@ export function createConfigFiles(siteRoot) {
         packageJson: path.join(siteRoot, CONFIG_FILE_NAMES.packageJson),
         denoJson: path.join(siteRoot, CONFIG_FILE_NAMES.denoJson),
         denoJsonc: path.join(siteRoot, CONFIG_FILE_NAMES.denoJsonc),
+        stateDir: path.join(siteRoot, CONFIG_FILE_NAMES.stateDir),
+        taskCache: path.join(siteRoot, CONFIG_FILE_NAMES.stateDir, CONFIG_FILE_NAMES.taskCache),
+        toolCatalogCache: path.join(siteRoot, CONFIG_FILE_NAMES.stateDir, CONFIG_FILE_NAMES.toolCatalogCache),
     };
 }
@@ -0,0 +1,322 @@
+import { injectVariables } from './config.js';
+import { getTaskDependencies, resolveScriptReference } from './graph.js';
+import { describeCommandKind, getTaskShape } from './help.js';
+import { isPlainObject } from './utils.js';
+import { withRuntimeStandIns } from './validation.js';
+
+/**
+ * Renders task pipelines as Mermaid flowcharts or Graphviz DOT: either the
+ * steps a task would run (`yaml-run graph`), or the tree recorded by
+ * lib/stats.js during a run, with statuses and durations (`--report mermaid=...`).
+ */
+
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * @typedef {'mermaid' | 'dot'} DiagramFormat
+ *
+ * @typedef {{
+ *     id: string,
+ *     kind: 'task' | 'series' | 'parallel' | 'command',
+ *     lines: string[],
+ *     status?: import('./stats.js').StatStatus,
+ * }} DiagramNode
+ *
+ * @typedef {{
+ *     from: string,
+ *     to: string,
+ *     label?: string,
+ *     dashed?: boolean,
+ * }} DiagramEdge
+ *
+ * @typedef {{
+ *     nodes: DiagramNode[],
+ *     edges: DiagramEdge[],
+ * }} Diagram
+ */
+
+/**
+ * @param {string} text
+ */
+function shortenLabel(text) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length <= MAX_LABEL_LENGTH ? singleLine : `${singleLine.slice(0, MAX_LABEL_LENGTH - 3)}...`;
+}
+
+/**
+ * Builds the pipeline of a task: each task appears once, however many steps
+ * or `depends` entries reference it, so repeated work shows up as several
+ * edges into the same node.
+ *
+ * @param {string} taskName
+ * @param {import('./help.js').HelpContext} context
+ * @returns {Diagram}
+ */
+export function buildTaskDiagram(taskName, context) {
+    if (!Object.prototype.hasOwnProperty.call(context.scripts, taskName)) {
+        throw new Error(`Task "${taskName}" not found in scripts.yaml`);
+    }
+
+    const runtimeContext = { ...context, variables: withRuntimeStandIns(context.scripts, context.variables) };
+    /** @type {Diagram} */
+    const diagram = { nodes: [], edges: [] };
+    /** @type {Map<string, string>} */
+    const taskNodeIds = new Map();
+
+    /**
+     * @param {DiagramNode['kind']} kind
+     * @param {string[]} lines
+     */
+    const addNode = (kind, lines) => {
+        const node = { id: `n${diagram.nodes.length + 1}`, kind, lines };
+        diagram.nodes.push(node);
+        return node.id;
+    };
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    const addTask = (name) => {
+        const existingId = taskNodeIds.get(name);
+        if (existingId) {
+            return existingId;
+        }
+
+        const task = runtimeContext.scripts[name];
+        const id = addNode('task', task === undefined ? [name, '(not found)'] : [name]);
+        taskNodeIds.set(name, id);
+
+        if (task === undefined) {
+            return id;
+        }
+
+        if (isPlainObject(task)) {
+            for (const dependency of getTaskDependencies(task.depends)) {
+                diagram.edges.push({ from: id, to: addTask(dependency), label: 'depends', dashed: true });
+            }
+        }
+
+        if (isPlainObject(task) && task.before !== undefined) {
+            addStep(task.before, id, 'before');
+        }
+
+        // A task made of a series numbers its steps directly instead of adding a series node.
+        const seriesSteps = Array.isArray(task) ? task : isPlainObject(task) && Array.isArray(task.series) ? task.series : null;
+        if (seriesSteps) {
+            seriesSteps.forEach((step, index) => addStep(step, id, String(index + 1)));
+        } else if (getTaskShape(task) !== 'depends') {
+            addStep(task, id);
+        }
+
+        if (isPlainObject(task)) {
+            for (const hook of ['after', 'finally']) {
+                if (task[hook] !== undefined) {
+                    addStep(task[hook], id, hook);
+                }
+            }
+        }
+
+        return id;
+    };
+
+    /**
+     * @param {string} command
+     * @param {string} parentId
+     * @param {string | undefined} label
+     * @param {string} [prefix]
+     */
+    const addCommand = (command, parentId, label, prefix = '') => {
+        const scriptName = resolveScriptReference(command, runtimeContext);
+        if (scriptName) {
+            diagram.edges.push({ from: parentId, to: addTask(scriptName), label: prefix ? [label, prefix.trim()].filter(Boolean).join(' ') : label });
+            return;
+        }
+
+        const injectedCommand = String(injectVariables(command, runtimeContext.variables));
+        const id = addNode('command', [`${prefix}${shortenLabel(injectedCommand)}`, describeCommandKind(command, runtimeContext)]);
+        diagram.edges.push({ from: parentId, to: id, label });
+    };
+
+    /**
+     * @param {unknown} step
+     * @param {string} parentId
+     * @param {string} [label]
+     */
+    const addStep = (step, parentId, label) => {
+        if (typeof step === 'string') {
+            addCommand(step, parentId, label);
+            return;
+        }
+
+        if (Array.isArray(step) || (isPlainObject(step) && Array.isArray(step.series))) {
+            const id = addNode('series', ['series']);
+            diagram.edges.push({ from: parentId, to: id, label });
+            const steps = Array.isArray(step) ? step : /** @type {unknown[]} */ (step.series);
+            steps.forEach((subStep, index) => addStep(subStep, id, String(index + 1)));
+            return;
+        }
+
+        if (isPlainObject(step)) {
+            if (Array.isArray(step.parallel)) {
+                const id = addNode('parallel', ['parallel']);
+                diagram.edges.push({ from: parentId, to: id, label });
+                step.parallel.forEach((subStep) => addStep(subStep, id));
+                return;
+            }
+
+            if (typeof step.service === 'string') {
+                addCommand(step.service, parentId, label, 'service ');
+                return;
+            }
+
+            const command = typeof step.cmd === 'string' ? step.cmd : step.script;
+            if (typeof command === 'string') {
+                addCommand(command, parentId, label);
+                return;
+            }
+        }
+
+        const id = addNode('command', ['unsupported step']);
+        diagram.edges.push({ from: parentId, to: id, label });
+    };
+
+    addTask(taskName);
+    return diagram;
+}
+
+/**
+ * Builds the tree of what actually ran from the recorded stats.
+ *
+ * @param {import('./stats.js').StatRecord[]} stats
+ * @returns {Diagram}
+ */
+export function buildExecutionDiagram(stats) {
+    return {
+        nodes: stats.map((stat) => ({
+            id: `n${stat.id}`,
+            kind: stat.type === 'TASK' ? 'task' : 'command',
+            lines: [shortenLabel(stat.name), `${stat.status} ${(stat.duration / 1000).toFixed(2)}s`],
+            status: stat.status,
+        })),
+        edges: stats
+            .filter((stat) => stat.parentId !== null)
+            .map((stat) => ({ from: `n${stat.parentId}`, to: `n${stat.id}` })),
+    };
+}
+
+/**
+ * @param {import('./stats.js').StatStatus | undefined} status
+ * @returns {'passed' | 'failed' | 'skipped' | null}
+ */
+function getStatusClass(status) {
+    switch (status) {
+        case 'PASS':
+        case 'RETRIED':
+        case 'ALLOWED_FAIL': {
+            return 'passed';
+        }
+        case 'FAIL':
+        case 'TIMEOUT':
+        case 'INTERRUPTED': {
+            return 'failed';
+        }
+        case 'CACHED':
+        case 'CANCELLED':
+        case 'PLANNED':
+        case 'SKIPPED': {
+            return 'skipped';
+        }
+        default: {
+            return null;
+        }
+    }
+}
+
+/**
+ * @param {string} text
+ */
+function escapeMermaid(text) {
+    return text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+/**
+ * @param {Diagram} diagram
+ */
+function renderMermaid(diagram) {
+    const lines = ['flowchart TD'];
+    const shapes = { task: ['([', '])'], series: ['[[', ']]'], parallel: ['{{', '}}'], command: ['[', ']'] };
+
+    for (const node of diagram.nodes) {
+        const [open, close] = shapes[node.kind];
+        lines.push(`    ${node.id}${open}"${node.lines.map(escapeMermaid).join('<br/>')}"${close}`);
+    }
+
+    for (const edge of diagram.edges) {
+        const arrow = edge.dashed ? '-.->' : '-->';
+        lines.push(`    ${edge.from} ${arrow}${edge.label ? `|"${escapeMermaid(edge.label)}"|` : ''} ${edge.to}`);
+    }
+
+    const statusNodes = diagram.nodes.filter((node) => getStatusClass(node.status));
+    if (statusNodes.length > 0) {
+        lines.push(
+            '    classDef passed fill:#dcfce7,stroke:#16a34a',
+            '    classDef failed fill:#fee2e2,stroke:#dc2626',
+            '    classDef skipped fill:#f3f4f6,stroke:#9ca3af'
+        );
+        for (const node of statusNodes) {
+            lines.push(`    class ${node.id} ${getStatusClass(node.status)}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {string} text
+ */
+function escapeDot(text) {
+    return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {Diagram} diagram
+ */
+function renderDot(diagram) {
+    const lines = ['digraph yaml_run {', '    rankdir=TB;', '    node [fontname="Helvetica"];'];
+    const shapes = { task: 'box', series: 'box3d', parallel: 'hexagon', command: 'box' };
+    const fills = { passed: '#dcfce7', failed: '#fee2e2', skipped: '#f3f4f6' };
+
+    for (const node of diagram.nodes) {
+        const statusClass = getStatusClass(node.status);
+        const styles = node.kind === 'task' ? ['rounded', 'bold'] : [];
+        const attributes = [`label="${node.lines.map(escapeDot).join('\\n')}"`, `shape=${shapes[node.kind]}`];
+
+        if (statusClass) {
+            styles.push('filled');
+            attributes.push(`fillcolor="${fills[statusClass]}"`);
+        }
+
+        if (styles.length > 0) {
+            attributes.push(`style="${styles.join(',')}"`);
+        }
+
+        lines.push(`    ${node.id} [${attributes.join(', ')}];`);
+    }
+
+    for (const edge of diagram.edges) {
+        const attributes = [edge.label ? `label="${escapeDot(edge.label)}"` : '', edge.dashed ? 'style=dashed' : ''].filter(Boolean);
+        lines.push(`    ${edge.from} -> ${edge.to}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Diagram} diagram
+ * @param {DiagramFormat} format
+ */
+export function renderDiagram(diagram, format) {
+    return format === 'dot' ? renderDot(diagram) : renderMermaid(diagram);
+}
@@ -1,17 +1,23 @@
 import path from 'node:path';
 
-import { expandGlob } from 'jsr:@std/fs@1.0.23';
-
-import { addStat } from './stats.js';
-import { injectVariables } from './config.js';
+import { computeTaskFingerprint, hasCacheDeclarations, hasDeclaredOutputs } from './cache.js';
+import { evaluateCondition, parseCondition } from './conditions.js';
+import { injectVariables, loadEnvFile } from './config.js';
+import { planFsAction, pathExists, runFsAction } from './fs-actions.js';
+import { getTaskDependencies } from './graph.js';
+import { createOutputBranch, flushOutputBranch, openStepOutput, writeOutputLine } from './output.js';
+import { DEFAULT_QUOTE_STYLE, quoteArgument, withBuiltinState } from './placeholders.js';
 import { classifyCommand } from './resolution.js';
+import { DEFAULT_READY_TIMEOUT_MS, describeReadyCheck, parseReadyCheck, waitForReady } from './services.js';
+import { createStatsRecorder } from './stats.js';
+import { isPlainObject, parseDuration, resolveConcurrency } from './utils.js';
 
 const isWin = Deno.build.os === 'windows';
 const denoExecutable = Deno.execPath();
-const activeProcesses = new Map();
-let shutdownRequested = false;
-let shutdownWaiters = [];
-const SUPPORTED_FS_ACTIONS = new Set(['rm', 'mkdir', 'copy']);
+/** @type {WeakMap<object, import('./stats.js').StatRecord>} */
+const errorStats = new WeakMap();
+const STDERR_TAIL_CHARS = 4096;
+const SERVICE_LOG_BUFFER_CHARS = 65536;
 
 /**
  * @typedef {{
@@ -20,12 +26,64 @@ const SUPPORTED_FS_ACTIONS = new Set(['rm', 'mkdir', 'copy']);
  * }} ExecutionScope
  *
  * @typedef {{
+ *     stats: import('./stats.js').StatsRecorder,
+ *     events: import('node:events').EventEmitter | null,
+ *     runId: number,
+ *     activeProcesses: Map<Deno.ChildProcess, { stat: import('./stats.js').StatRecord, cleanup: boolean }>,
+ *     shutdownRequested: boolean,
+ *     shutdownSignal: AbortSignal,
+ *     abortShutdown: () => void,
+ *     shutdownWaiters: Array<() => void>,
+ * }} ExecutionSession
+ *
+ * @typedef {{
+ *     session: ExecutionSession,
  *     siteRoot: string,
  *     scripts: Record<string, unknown>,
  *     variables: Record<string, unknown>,
  *     toolCatalog: Map<string, Array<{ label: string, executeSpec: string }>>,
+ *     taskCache?: import('./cache.js').TaskCache,
+ *     taskRuns?: Map<string, Promise<Record<string, unknown>>>,
+ *     signal?: AbortSignal,
+ *     forwardArgs?: string[],
+ *     env?: Record<string, string>,
+ *     cwd?: string,
  *     execution?: ExecutionScope,
+ *     dryRun?: boolean,
+ *     captureStderr?: boolean,
+ *     strictPlaceholders?: boolean,
+ *     services?: ServiceHandle[],
+ *     onServiceOutput?: (text: string) => void,
+ *     outputBranch?: import('./output.js').OutputBranch | null,
+ *     logDir?: string | null,
+ *     cleanup?: boolean,
  * }} ExecutionContext
+ *
+ * @typedef {{
+ *     session: ExecutionSession,
+ *     stdinMode?: 'null' | 'inherit',
+ *     signal?: AbortSignal,
+ *     captureStderr?: boolean,
+ *     captureStdout?: boolean,
+ *     onOutput?: (text: string) => void,
+ *     outputBranch?: import('./output.js').OutputBranch | null,
+ *     logDir?: string | null,
+ *     cleanup?: boolean,
+ * }} SpawnOptions
+ *
+ * @typedef {{
+ *     name: string,
+ *     controller: AbortController,
+ *     run: Promise<void>,
+ *     exited: boolean,
+ *     failure: unknown,
+ * }} ServiceHandle
+ *
+ * @typedef {{
+ *     retry: { count: number, delayMs: number, backoff: 'fixed' | 'linear' | 'exponential' | number },
+ *     timeoutMs: number | null,
+ *     continueOnError: boolean,
+ * }} StepPolicy
  */
 
 function buildEnvironment(envVars) {
@@ -49,104 +107,64 @@ function formatCommandForDisplay(commandParts) {
     return commandParts.map((part) => quoteForDisplay(part)).join(' ');
 }
 
-function isGlobPattern(targetPath) {
-    return /[*?[\]{}]/.test(targetPath);
-}
-
-async function pathExists(targetPath) {
-    try {
-        return await Deno.stat(targetPath);
-    } catch (error) {
-        if (error instanceof Deno.errors.NotFound) {
-            return null;
-        }
-
-        throw error;
-    }
-}
-
-async function removePath(targetPath) {
-    try {
-        await Deno.remove(targetPath, { recursive: true });
-    } catch (error) {
-        if (!(error instanceof Deno.errors.NotFound)) {
-            throw error;
-        }
-    }
-}
-
-async function removeGlobPattern(siteRoot, targetPattern) {
-    const globOptions = path.isAbsolute(targetPattern) ? undefined : { root: siteRoot };
-    let matched = false;
-
-    for await (const entry of expandGlob(targetPattern, globOptions)) {
-        matched = true;
-        await removePath(path.resolve(siteRoot, entry.path));
-    }
-
-    return matched;
-}
-
-async function copyPathRecursive(sourcePath, destinationPath) {
-    const sourceInfo = await Deno.stat(sourcePath);
-    const destinationInfo = await pathExists(destinationPath);
-    const finalDestination = destinationInfo && destinationInfo.isDirectory
-        ? path.join(destinationPath, path.basename(sourcePath))
-        : destinationPath;
-
-    if (sourceInfo.isDirectory) {
-        await Deno.mkdir(finalDestination, { recursive: true });
-
-        for await (const entry of Deno.readDir(sourcePath)) {
-            await copyPathRecursive(
-                path.join(sourcePath, entry.name),
-                path.join(finalDestination, entry.name)
-            );
-        }
-
-        return;
-    }
-
-    await Deno.mkdir(path.dirname(finalDestination), { recursive: true });
-    await Deno.copyFile(sourcePath, finalDestination);
-}
-
-async function copyGlobMatches(siteRoot, sourcePattern, destinationPath) {
-    const globOptions = path.isAbsolute(sourcePattern) ? undefined : { root: siteRoot };
-    let matched = false;
-
-    for await (const entry of expandGlob(sourcePattern, globOptions)) {
-        if (!matched) {
-            await Deno.mkdir(destinationPath, { recursive: true });
-            matched = true;
-        }
-
-        await copyPathRecursive(path.resolve(siteRoot, entry.path), destinationPath);
-    }
+/**
+ * Creates the state of one run: its stats tree, its child processes and
+ * whether it is shutting down. Nothing is shared between sessions, so several
+ * task trees can run in one process and be stopped independently.
+ *
+ * With `events`, the session emits `step:start` and `step:finish` with
+ * `{ runId, stat }` for every stats node, and `step:output` with
+ * `{ runId, stat, stream, text }` for child process output while anything
+ * listens for it. A node relabelled RETRIED or ALLOWED_FAIL by its policy
+ * emits `step:finish` again.
+ *
+ * @param {{ events?: import('node:events').EventEmitter | null, runId?: number }} [options]
+ * @returns {ExecutionSession}
+ */
+export function createExecutionSession(options = {}) {
+    const events = options.events ?? null;
+    const runId = options.runId ?? 1;
+    // Aborted by requestShutdown, for waits that are not child processes, such as retry delays.
+    const shutdownController = new AbortController();
 
-    return matched;
+    return {
+        stats: createStatsRecorder({
+            onStart: (stat) => events?.emit('step:start', { runId, stat }),
+            onFinish: (stat) => events?.emit('step:finish', { runId, stat }),
+        }),
+        events,
+        runId,
+        activeProcesses: new Map(),
+        shutdownRequested: false,
+        shutdownSignal: shutdownController.signal,
+        abortShutdown: () => shutdownController.abort(),
+        shutdownWaiters: [],
+    };
 }
 
-function resolveShutdownWaiters() {
-    if (!shutdownRequested || activeProcesses.size > 0) {
+/**
+ * @param {ExecutionSession} session
+ */
+function resolveShutdownWaiters(session) {
+    if (!session.shutdownRequested || session.activeProcesses.size > 0) {
         return;
     }
 
-    const waiters = shutdownWaiters;
-    shutdownWaiters = [];
+    const waiters = session.shutdownWaiters;
+    session.shutdownWaiters = [];
 
     for (const resolve of waiters) {
         resolve();
     }
 }
 
-function registerActiveProcess(child, stat) {
-    activeProcesses.set(child, { stat });
+function registerActiveProcess(session, child, stat, cleanup = false) {
+    session.activeProcesses.set(child, { stat, cleanup });
 }
 
-function unregisterActiveProcess(child) {
-    activeProcesses.delete(child);
-    resolveShutdownWaiters();
+function unregisterActiveProcess(session, child) {
+    session.activeProcesses.delete(child);
+    resolveShutdownWaiters(session);
 }
 
 function terminateChildProcess(child) {
@@ -162,41 +180,177 @@ function terminateChildProcess(child) {
     }
 }
 
-function markActiveProcessesInterrupted() {
-    for (const { stat } of activeProcesses.values()) {
-        if (stat.status === 'RUNNING') {
+/**
+ * @param {ExecutionSession} session
+ */
+function markActiveProcessesInterrupted(session) {
+    for (const { stat, cleanup } of session.activeProcesses.values()) {
+        if (stat.status === 'RUNNING' && !cleanup) {
             stat.status = 'INTERRUPTED';
         }
     }
 }
 
-export function isShutdownRequested() {
-    return shutdownRequested;
+/**
+ * @param {ExecutionContext} context
+ */
+function throwIfCancelled(context) {
+    if (context.signal?.aborted) {
+        throw getAbortError(context.signal);
+    }
+}
+
+/**
+ * Whether steps in this context should stop for a shutdown. `finally` steps
+ * keep running through one.
+ *
+ * @param {ExecutionContext} context
+ */
+function isShuttingDown(context) {
+    return context.session.shutdownRequested && context.cleanup !== true;
+}
+
+/**
+ * @param {unknown} error
+ */
+function isTimeoutError(error) {
+    return error instanceof Error && error.name === 'TimeoutError';
+}
+
+/**
+ * @param {unknown} error
+ */
+function isServiceStop(error) {
+    return error instanceof Error && error.name === 'ServiceStopped';
+}
+
+/**
+ * Returns the error a cancelled run rejects with: the timeout error for
+ * `timeout:` policies, the stop reason for services, a generic cancellation otherwise.
+ *
+ * @param {AbortSignal} signal
+ */
+function getAbortError(signal) {
+    return isTimeoutError(signal.reason) || isServiceStop(signal.reason) ? signal.reason : new Error('Execution cancelled.');
+}
+
+/**
+ * The status of a node whose run was aborted. A service stopped because its
+ * task finished did its job, so it passes; one stopped because its ready check
+ * could not run fails.
+ *
+ * @param {unknown} reason
+ * @returns {'TIMEOUT' | 'PASS' | 'FAIL' | 'CANCELLED'}
+ */
+function getAbortStatus(reason) {
+    if (isTimeoutError(reason)) {
+        return 'TIMEOUT';
+    }
+
+    if (reason instanceof Error && reason.name === 'ReadyCheckFailed') {
+        return 'FAIL';
+    }
+
+    return isServiceStop(reason) ? 'PASS' : 'CANCELLED';
+}
+
+/**
+ * Remembers the stats node of the step that produced an error, so retry and
+ * continue-on-error policies can relabel it. Outer tasks overwrite the entry as
+ * the error bubbles up, leaving the node closest to the policy that catches it.
+ *
+ * @param {unknown} error
+ * @param {import('./stats.js').StatRecord} stat
+ */
+function attachErrorStat(error, stat) {
+    if (error !== null && typeof error === 'object') {
+        errorStats.set(error, stat);
+    }
+
+    return error;
 }
 
-export function requestShutdown() {
-    if (!shutdownRequested) {
-        shutdownRequested = true;
-        markActiveProcessesInterrupted();
+/**
+ * @param {ExecutionSession} session
+ */
+export function isShutdownRequested(session) {
+    return session.shutdownRequested;
+}
 
-        for (const child of activeProcesses.keys()) {
-            terminateChildProcess(child);
+/**
+ * Stops a session: its running processes are terminated and marked
+ * INTERRUPTED, and no further steps start. `finally` steps still run.
+ *
+ * @param {ExecutionSession} session
+ */
+export function requestShutdown(session) {
+    if (!session.shutdownRequested) {
+        session.shutdownRequested = true;
+        session.abortShutdown();
+        markActiveProcessesInterrupted(session);
+
+        for (const [child, { cleanup }] of session.activeProcesses) {
+            if (!cleanup) {
+                terminateChildProcess(child);
+            }
         }
     }
 
-    resolveShutdownWaiters();
+    resolveShutdownWaiters(session);
 }
 
-export function waitForShutdown() {
-    if (!shutdownRequested || activeProcesses.size === 0) {
+/**
+ * Resolves once every process of a stopped session has exited.
+ *
+ * @param {ExecutionSession} session
+ * @returns {Promise<void>}
+ */
+export function waitForShutdown(session) {
+    if (!session.shutdownRequested || session.activeProcesses.size === 0) {
         return Promise.resolve();
     }
 
     return new Promise((resolve) => {
-        shutdownWaiters.push(resolve);
+        session.shutdownWaiters.push(resolve);
     });
 }
 
+/**
+ * How arguments forwarded to a shell command are quoted for that shell.
+ *
+ * @param {string} shellKind
+ * @returns {'posix' | 'powershell' | 'cmd'}
+ */
+function getQuoteStyle(shellKind) {
+    switch (shellKind) {
+        case 'cmd': {
+            return 'cmd';
+        }
+        case 'powershell':
+        case 'pwsh': {
+            return 'powershell';
+        }
+        case 'bash': {
+            return 'posix';
+        }
+        default: {
+            return DEFAULT_QUOTE_STYLE;
+        }
+    }
+}
+
+/**
+ * Appends arguments forwarded after `--` to a shell command, each quoted as
+ * one literal argument for the shell that runs it.
+ *
+ * @param {ReturnType<typeof classifyCommand>} classification
+ * @param {string[]} forwardArgs
+ */
+function appendShellArguments(classification, forwardArgs) {
+    const style = getQuoteStyle(classification.shellKind ?? 'cross-shell');
+    return [classification.rawCommand, ...forwardArgs.map((arg) => quoteArgument(arg, style))].join(' ');
+}
+
 /**
  * @param {'cross-shell' | 'cmd' | 'powershell' | 'pwsh' | 'bash'} shellKind
  */
@@ -242,16 +396,17 @@ function resolveShellCommand(shellKind) {
 }
 
 /**
- * Executes native filesystem operations.
+ * Executes native filesystem operations (see `FS_ACTION_USAGE` in fs-actions.js).
  *
- * @param {'rm' | 'mkdir' | 'copy'} action
+ * @param {string} action
  * @param {string[]} args
- * @param {string} siteRoot
+ * @param {string} workingDirectory
  * @param {{ id: number, depth: number } | null} parentStat
+ * @param {ExecutionSession} session
  */
-async function executeFs(action, args, siteRoot, parentStat) {
+async function executeFs(action, args, workingDirectory, parentStat, session) {
     const start = Date.now();
-    const stat = addStat({
+    const stat = session.stats.addStat({
         type: 'FS',
         name: `fs: ${action} ${args.join(' ')}`.trim(),
         parentId: parentStat ? parentStat.id : null,
@@ -263,82 +418,115 @@ async function executeFs(action, args, siteRoot, parentStat) {
     try {
         console.log(`[36m> ${formatCommandForDisplay(['fs', action, ...args])}[0m`);
 
-        if (!SUPPORTED_FS_ACTIONS.has(action)) {
-            throw new Error(`Unknown fs action: ${action}`);
-        }
-
-        switch (action) {
-            case 'rm': {
-                if (args.length === 0) {
-                    throw new Error('fs: rm requires at least one target.');
-                }
-
-                for (const targetSpec of args) {
-                    if (isGlobPattern(targetSpec)) {
-                        await removeGlobPattern(siteRoot, targetSpec);
-                        continue;
-                    }
+        await runFsAction(action, args, workingDirectory);
+        stat.status = 'PASS';
+    } catch (error) {
+        stat.status = 'FAIL';
+        throw attachErrorStat(error, stat);
+    } finally {
+        stat.duration = Date.now() - start;
+        session.stats.finishStat(stat);
+    }
+}
 
-                    await removePath(path.resolve(siteRoot, targetSpec));
-                }
+/**
+ * Copies a piped child stream to one of our own, handing every chunk to `onChunk`.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {{ write: (chunk: Uint8Array) => Promise<number> }} target
+ * @param {(chunk: Uint8Array) => void} onChunk
+ */
+async function teeStream(stream, target, onChunk) {
+    for await (const chunk of stream) {
+        let written = 0;
+        while (written < chunk.length) {
+            written += await target.write(chunk.subarray(written));
+        }
 
-                break;
-            }
-            case 'mkdir': {
-                if (args.length === 0) {
-                    throw new Error('fs: mkdir requires at least one target.');
-                }
+        onChunk(chunk);
+    }
+}
 
-                for (const directorySpec of args) {
-                    await Deno.mkdir(path.resolve(siteRoot, directorySpec), { recursive: true });
-                }
+/**
+ * Forwards a child's stderr to ours while keeping the last few thousand characters for run reports.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {{ write: (chunk: Uint8Array) => Promise<number> }} target
+ * @param {{ stderrTail: string }} stat
+ * @param {(text: string) => void} [onOutput]
+ */
+async function teeStderrTail(stream, target, stat, onOutput) {
+    let tail = '';
+    const decoder = new TextDecoder();
+
+    await teeStream(stream, target, (chunk) => {
+        // Decode before trimming so the tail never starts in the middle of a multi-byte character.
+        const text = decoder.decode(chunk, { stream: true });
+        tail = trimToLastCharacters(tail + text, STDERR_TAIL_CHARS);
+        onOutput?.(text);
+    });
 
-                break;
-            }
-            case 'copy': {
-                if (args.length !== 2) {
-                    throw new Error('fs: copy requires a source and destination.');
-                }
+    stat.stderrTail = trimToLastCharacters(tail + decoder.decode(), STDERR_TAIL_CHARS);
+}
 
-                const [sourceSpec, destinationSpec] = args;
-                const destinationPath = path.resolve(siteRoot, destinationSpec);
+/**
+ * Keeps the last `limit` characters of `text`, counting code points so a surrogate pair is never split.
+ *
+ * @param {string} text
+ * @param {number} limit
+ */
+function trimToLastCharacters(text, limit) {
+    if (text.length <= limit) {
+        return text;
+    }
 
-                if (isGlobPattern(sourceSpec)) {
-                    await copyGlobMatches(siteRoot, sourceSpec, destinationPath);
-                } else {
-                    await copyPathRecursive(path.resolve(siteRoot, sourceSpec), destinationPath);
-                }
+    const characters = Array.from(text.slice(-limit * 2));
+    return characters.slice(-limit).join('');
+}
 
-                break;
-            }
-            default: {
-                throw new Error(`Unknown fs action: ${action}`);
-            }
-        }
+/**
+ * Forwards a child's stdout to ours and returns everything it printed, for `capture:`.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {{ write: (chunk: Uint8Array) => Promise<number> }} target
+ * @param {(text: string) => void} [onOutput]
+ * @returns {Promise<string>}
+ */
+async function teeStdout(stream, target, onOutput) {
+    const decoder = new TextDecoder();
+    let output = '';
+    await teeStream(stream, target, (chunk) => {
+        const text = decoder.decode(chunk, { stream: true });
+        output += text;
+        onOutput?.(text);
+    });
 
-        stat.status = 'PASS';
-    } catch (error) {
-        stat.status = 'FAIL';
-        throw error;
-    } finally {
-        stat.duration = Date.now() - start;
-    }
+    return output + decoder.decode();
 }
 
 /**
  * @param {string} command
  * @param {string[]} args
- * @param {string} siteRoot
+ * @param {string} workingDirectory
  * @param {Record<string, string>} [envVars]
  * @param {'CMD' | 'PATH' | 'TOOL'} statType
  * @param {string} statName
  * @param {string} failureLabel
  * @param {{ id: number, depth: number } | null} parentStat
- * @param {'null' | 'inherit'} [stdinMode]
+ * @param {SpawnOptions} [options]
+ * @returns {Promise<string | undefined>} The child's stdout when `captureStdout` is set.
  */
-function spawnTrackedProcess(command, args, siteRoot, envVars, statType, statName, failureLabel, parentStat, stdinMode = 'null') {
+function spawnTrackedProcess(command, args, workingDirectory, envVars, statType, statName, failureLabel, parentStat, options = {}) {
+    const { session, stdinMode = 'null', signal, captureStderr = false, captureStdout = false, onOutput, outputBranch, logDir, cleanup = false } = options;
+    // Services watching for a readiness log line need both streams, whatever else is captured.
+    // Parallel steps and --log-dir pipe both too, so their lines can be prefixed or written to a file,
+    // as does a session whose events are observed for output.
+    const routeOutput = Boolean(outputBranch) || Boolean(logDir);
+    const observeOutput = (session.events?.listenerCount('step:output') ?? 0) > 0;
+    const pipeStdout = captureStdout || onOutput !== undefined || routeOutput || observeOutput;
+    const pipeStderr = captureStderr || onOutput !== undefined || routeOutput || observeOutput;
     const start = Date.now();
-    const stat = addStat({
+    const stat = session.stats.addStat({
         type: statType,
         name: statName,
         parentId: parentStat ? parentStat.id : null,
@@ -347,18 +535,53 @@ function spawnTrackedProcess(command, args, siteRoot, envVars, statType, statNam
         duration: 0,
     });
 
-    return new Promise((resolve, reject) => {
+    /**
+     * @param {'stdout' | 'stderr'} stream
+     * @returns {((text: string) => void) | undefined}
+     */
+    const getOutputListener = (stream) => {
+        if (!observeOutput) {
+            return onOutput;
+        }
+
+        return (text) => {
+            onOutput?.(text);
+            session.events?.emit('step:output', { runId: session.runId, stat, stream, text });
+        };
+    };
+
+    /** @type {Promise<string | undefined>} */
+    const run = new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            stat.status = getAbortStatus(signal.reason);
+            reject(attachErrorStat(getAbortError(signal), stat));
+            return;
+        }
+
         try {
+            const output = routeOutput ? openStepOutput({ branch: outputBranch, logDir, runId: session.runId, statId: stat.id, statName }) : null;
             const child = new Deno.Command(command, {
                 args,
-                cwd: siteRoot,
+                cwd: workingDirectory,
                 env: buildEnvironment(envVars),
                 stdin: stdinMode,
-                stdout: 'inherit',
-                stderr: 'inherit',
+                stdout: pipeStdout ? 'piped' : 'inherit',
+                stderr: pipeStderr ? 'piped' : 'inherit',
             }).spawn();
 
-            registerActiveProcess(child, stat);
+            registerActiveProcess(session, child, stat, cleanup);
+            const stderrDone = pipeStderr ? teeStderrTail(child.stderr, output?.stderr ?? Deno.stderr, stat, getOutputListener('stderr')).catch(() => {}) : Promise.resolve();
+            const stdoutDone = pipeStdout ? teeStdout(child.stdout, output?.stdout ?? Deno.stdout, getOutputListener('stdout')).catch(() => '') : Promise.resolve('');
+
+            // Cancellation (watch restarts) reuses the shutdown termination path for this child only.
+            const onAbort = () => {
+                if (stat.status === 'RUNNING') {
+                    stat.status = getAbortStatus(signal?.reason);
+                }
+
+                terminateChildProcess(child);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
 
             let finalized = false;
 
@@ -368,45 +591,66 @@ function spawnTrackedProcess(command, args, siteRoot, envVars, statType, statNam
                 }
 
                 finalized = true;
-                unregisterActiveProcess(child);
+                signal?.removeEventListener('abort', onAbort);
+                unregisterActiveProcess(session, child);
             };
 
-            child.status.then((result) => {
+            child.status.then(async (result) => {
+                await stderrDone;
+                const capturedStdout = await stdoutDone;
+                output?.close();
                 const duration = Date.now() - start;
                 stat.duration = duration;
+                stat.exitCode = result.code;
                 finalize();
 
-                if (shutdownRequested) {
+                if (session.shutdownRequested && !cleanup) {
                     stat.status = 'INTERRUPTED';
                     reject(new Error('Execution interrupted.'));
                     return;
                 }
 
+                if (signal?.aborted) {
+                    stat.status = getAbortStatus(signal.reason);
+                    reject(attachErrorStat(getAbortError(signal), stat));
+                    return;
+                }
+
                 const status = result.success ? 'PASS' : 'FAIL';
                 stat.status = status;
 
                 if (result.success) {
-                    resolve();
+                    resolve(captureStdout ? capturedStdout : undefined);
                 } else {
-                    reject(new Error(`${failureLabel} failed with code ${result.code}`));
+                    reject(attachErrorStat(new Error(`${failureLabel} failed with code ${result.code}`), stat));
                 }
             }).catch((error) => {
                 stat.duration = Date.now() - start;
                 finalize();
+                output?.close();
 
-                if (shutdownRequested) {
+                if (session.shutdownRequested && !cleanup) {
                     stat.status = 'INTERRUPTED';
                     reject(new Error('Execution interrupted.'));
                     return;
                 }
 
+                if (signal?.aborted) {
+                    stat.status = getAbortStatus(signal.reason);
+                    reject(attachErrorStat(getAbortError(signal), stat));
+                    return;
+                }
+
                 stat.status = 'FAIL';
-                reject(error);
+                reject(attachErrorStat(error, stat));
             });
         } catch (error) {
-            reject(error);
+            stat.status = 'FAIL';
+            reject(attachErrorStat(error, stat));
         }
     });
+
+    return run.finally(() => session.stats.finishStat(stat));
 }
 
 /**
@@ -414,26 +658,26 @@ function spawnTrackedProcess(command, args, siteRoot, envVars, statType, statNam
  *
  * @param {'cross-shell' | 'cmd' | 'powershell' | 'pwsh' | 'bash'} shellKind
  * @param {string} command
- * @param {string} siteRoot
+ * @param {string} workingDirectory
  * @param {Record<string, string>} [envVars]
  * @param {{ id: number, depth: number } | null} parentStat
- * @param {'null' | 'inherit'} [stdinMode]
+ * @param {SpawnOptions} [options]
  */
-function executeShell(shellKind, command, siteRoot, envVars, parentStat, stdinMode = 'null') {
+function executeShell(shellKind, command, workingDirectory, envVars, parentStat, options = {}) {
     const cleanCommand = command.replace(/\n/g, ' ');
     const shell = resolveShellCommand(shellKind);
-    console.log(`\x1b[36m> ${formatCommandForDisplay([shell.command, ...shell.args, cleanCommand])}\x1b[0m`);
+    writeOutputLine(options.outputBranch ?? null, `\x1b[36m> ${formatCommandForDisplay([shell.command, ...shell.args, cleanCommand])}\x1b[0m`);
 
     return spawnTrackedProcess(
         shell.command,
         [...shell.args, cleanCommand],
-        siteRoot,
+        workingDirectory,
         envVars,
         'CMD',
         `${shellKind}: ${cleanCommand}`,
         'Command',
         parentStat,
-        stdinMode
+        options
     );
 }
 
@@ -442,25 +686,25 @@ function executeShell(shellKind, command, siteRoot, envVars, parentStat, stdinMo
  *
  * @param {string} executable
  * @param {string[]} args
- * @param {string} siteRoot
+ * @param {string} workingDirectory
  * @param {Record<string, string>} [envVars]
  * @param {{ id: number, depth: number } | null} parentStat
- * @param {'null' | 'inherit'} [stdinMode]
+ * @param {SpawnOptions} [options]
  */
-function executePath(executable, args, siteRoot, envVars, parentStat, stdinMode = 'null') {
+function executePath(executable, args, workingDirectory, envVars, parentStat, options = {}) {
     const commandParts = [executable, ...args];
-    console.log(`\x1b[36m> ${formatCommandForDisplay(commandParts)}\x1b[0m`);
+    writeOutputLine(options.outputBranch ?? null, `\x1b[36m> ${formatCommandForDisplay(commandParts)}\x1b[0m`);
 
     return spawnTrackedProcess(
         executable,
         args,
-        siteRoot,
+        workingDirectory,
         envVars,
         'PATH',
         formatCommandForDisplay(commandParts),
         'PATH command',
         parentStat,
-        stdinMode
+        options
     );
 }
 
@@ -469,148 +713,1310 @@ function executePath(executable, args, siteRoot, envVars, parentStat, stdinMode
  *
  * @param {{ label: string, executeSpec: string }} tool
  * @param {string[]} args
- * @param {string} siteRoot
+ * @param {string} workingDirectory
  * @param {Record<string, string>} [envVars]
  * @param {{ id: number, depth: number } | null} parentStat
- * @param {'null' | 'inherit'} [stdinMode]
+ * @param {SpawnOptions} [options]
  */
-function executeDenoTool(tool, args, siteRoot, envVars, parentStat, stdinMode = 'null') {
+function executeDenoTool(tool, args, workingDirectory, envVars, parentStat, options = {}) {
     const commandParts = [denoExecutable, 'run', '-A', tool.executeSpec, ...args];
-    console.log(`\x1b[36m> ${formatCommandForDisplay(commandParts)}\x1b[0m`);
+    writeOutputLine(options.outputBranch ?? null, `\x1b[36m> ${formatCommandForDisplay(commandParts)}\x1b[0m`);
 
     return spawnTrackedProcess(
         denoExecutable,
         ['run', '-A', tool.executeSpec, ...args],
-        siteRoot,
+        workingDirectory,
         envVars,
         'TOOL',
         `${tool.label} ${args.join(' ')}`.trim(),
         'Tool',
         parentStat,
-        stdinMode
+        options
     );
 }
 
 /**
- * @param {unknown} step
- * @param {ExecutionContext} context
- * @param {{ id: number, depth: number } | null} parentStat
+ * Looks an executable up the way the OS would when spawning it: relative to the
+ * working directory when it contains a path separator, otherwise on PATH.
+ *
+ * @param {string} executable
+ * @param {string} workingDirectory
+ * @returns {Promise<string | null>}
  */
-async function runTaskStep(step, context, parentStat) {
-    if (typeof step === 'string') {
-        await runCommandOrTask(step, context, parentStat);
-        return;
-    }
-
-    if (step && typeof step === 'object') {
-        if (typeof step.cmd === 'string') {
-            await runCommandOrTask(step.cmd, context, parentStat, step.interactive === true);
-            return;
-        }
-
-        if (typeof step.script === 'string') {
-            await runCommandOrTask(step.script, context, parentStat, step.interactive === true);
-            return;
+async function findExecutable(executable, workingDirectory) {
+    const extensions = isWin ? ['', ...(Deno.env.get('PATHEXT') ?? '.COM;.EXE;.BAT;.CMD').split(';')] : [''];
+    const directories = /[\\/]/.test(executable)
+        ? [workingDirectory]
+        : (Deno.env.get('PATH') ?? '').split(path.delimiter).filter(Boolean);
+
+    for (const directory of directories) {
+        for (const extension of extensions) {
+            const candidate = path.resolve(directory, `${executable}${extension}`);
+            const info = await pathExists(candidate);
+            if (info?.isFile) {
+                return candidate;
+            }
         }
     }
 
-    throw new Error(`Unsupported step type: ${typeof step}`);
-}
-
-/**
- * @param {ExecutionContext} context
- * @param {{ id: number, depth: number }} parentStat
- * @returns {ExecutionContext}
- */
-function createChildExecutionContext(context, parentStat) {
-    return {
-        ...context,
-        execution: {
-            parentId: parentStat.id,
-            depth: parentStat.depth + 1,
-        },
-    };
+    return null;
 }
 
 /**
- * Runs a raw string as either a managed task, a managed tool, or shell text.
+ * The stats type and name a classified command runs under, so planned and
+ * skipped nodes read like the node a real run adds.
  *
- * @param {string} value
- * @param {ExecutionContext} context
- * @param {{ id: number, depth: number } | null} parentStat
+ * @param {ReturnType<typeof classifyCommand>} classification
+ * @param {string[]} forwardArgs
+ * @returns {{ statType: 'CMD' | 'PATH' | 'TOOL' | 'FS', statName: string }}
  */
-async function runCommandOrTask(value, context, parentStat, interactive = false) {
-    if (typeof value !== 'string') {
-        throw new Error(`Unsupported step type: ${typeof value}`);
-    }
-
-    if (shutdownRequested) {
-        throw new Error('Execution interrupted.');
-    }
-
-    const injectedCommand = injectVariables(value, context.variables);
-    const classification = classifyCommand(injectedCommand, context.scripts, context.toolCatalog);
-
-    if (classification.kind === 'script' && classification.scriptName) {
-        if (!parentStat) {
-            throw new Error('Missing execution parent for nested task dispatch.');
-        }
-
-        await runTask(classification.scriptName, createChildExecutionContext(context, parentStat));
-        return;
-    }
-
+function describeClassifiedCommand(classification, forwardArgs) {
     if (classification.kind === 'tool' && classification.tool) {
-        await executeDenoTool(
-            classification.tool,
-            classification.args ?? [],
-            context.siteRoot,
-            undefined,
-            parentStat,
-            interactive ? 'inherit' : 'null'
-        );
-        return;
+        const args = [...(classification.args ?? []), ...forwardArgs];
+        return { statType: 'TOOL', statName: `${classification.tool.label} ${args.join(' ')}`.trim() };
     }
 
     if (classification.kind === 'fs' && classification.fsAction) {
-        await executeFs(
-            classification.fsAction,
-            classification.fsArgs ?? [],
-            context.siteRoot,
-            parentStat
-        );
-        return;
+        const args = [...(classification.fsArgs ?? []), ...forwardArgs];
+        return { statType: 'FS', statName: `fs: ${classification.fsAction} ${args.join(' ')}`.trim() };
     }
 
     if (classification.kind === 'path' && classification.executable) {
-        await executePath(
-            classification.executable,
-            classification.args ?? [],
-            context.siteRoot,
-            undefined,
-            parentStat,
-            interactive ? 'inherit' : 'null'
-        );
-        return;
+        const args = [...(classification.args ?? []), ...forwardArgs];
+        return { statType: 'PATH', statName: formatCommandForDisplay([classification.executable, ...args]) };
     }
 
-    await executeShell(classification.shellKind ?? 'cross-shell', classification.rawCommand, context.siteRoot, undefined, parentStat, interactive ? 'inherit' : 'null');
+    const shellCommand = appendShellArguments(classification, forwardArgs).replace(/\n/g, ' ');
+    return { statType: 'CMD', statName: `${classification.shellKind ?? 'cross-shell'}: ${shellCommand}` };
 }
 
 /**
- * Main Task Runner Logic (Recursive for parallel/series).
+ * Prints what a classified command would execute instead of spawning it, and
+ * records it as a PLANNED node so the summary shows the full plan.
  *
- * @param {string} taskName
+ * @param {ReturnType<typeof classifyCommand>} classification
+ * @param {string[]} forwardArgs
+ * @param {string} workingDirectory
  * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number } | null} parentStat
  */
-export async function runTask(taskName, context) {
+async function planCommand(classification, forwardArgs, workingDirectory, context, parentStat) {
+    const { statType, statName } = describeClassifiedCommand(classification, forwardArgs);
+    /** @type {string[]} */
+    const details = [];
+
+    if (classification.kind === 'tool' && classification.tool) {
+        const args = [...(classification.args ?? []), ...forwardArgs];
+        details.push(
+            `executeSpec: ${classification.tool.executeSpec}`,
+            `args: ${formatCommandForDisplay(args)}`,
+            `command: ${formatCommandForDisplay([denoExecutable, 'run', '-A', classification.tool.executeSpec, ...args])}`
+        );
+    } else if (classification.kind === 'fs' && classification.fsAction) {
+        details.push(...await planFsAction(classification.fsAction, [...(classification.fsArgs ?? []), ...forwardArgs], workingDirectory));
+    } else if (classification.kind === 'path' && classification.executable) {
+        const args = [...(classification.args ?? []), ...forwardArgs];
+        const resolvedExecutable = await findExecutable(classification.executable, workingDirectory);
+        details.push(
+            `executable: ${resolvedExecutable ?? `${classification.executable} (not found on PATH)`}`,
+            `args: ${formatCommandForDisplay(args)}`
+        );
+    } else {
+        const shell = resolveShellCommand(classification.shellKind ?? 'cross-shell');
+        const shellCommand = appendShellArguments(classification, forwardArgs).replace(/\n/g, ' ');
+        details.push(`command: ${formatCommandForDisplay([shell.command, ...shell.args, shellCommand])}`);
+    }
+
+    details.push(`cwd: ${workingDirectory}`);
+    if (context.env && Object.keys(context.env).length > 0) {
+        details.push(`env: ${Object.keys(context.env).join(', ')}`);
+    }
+
+    console.log(`\x1b[36m[Dry run] ${statType} ${statName}\x1b[0m`);
+    for (const detail of details) {
+        console.log(`\x1b[90m    ${detail}\x1b[0m`);
+    }
+
+    context.session.stats.addStat({
+        type: statType,
+        name: statName,
+        parentId: parentStat ? parentStat.id : null,
+        depth: parentStat ? parentStat.depth + 1 : 0,
+        status: 'PLANNED',
+        duration: 0,
+    });
+}
+
+/**
+ * Reads the `retry`, `timeout` and `continueOnError` keys of a task or step object.
+ * `retry` may be a bare attempt count or `{ count, delayMs, backoff }`.
+ *
+ * @param {Record<string, unknown>} step
+ * @returns {StepPolicy | null}
+ */
+export function getStepPolicy(step) {
+    if (step.retry === undefined && step.timeout === undefined && step.continueOnError === undefined) {
+        return null;
+    }
+
+    const retryConfig = isPlainObject(step.retry) ? step.retry : { count: step.retry };
+    const backoff = retryConfig.backoff;
+
+    return {
+        retry: {
+            count: Number.isInteger(retryConfig.count) && Number(retryConfig.count) > 0 ? Number(retryConfig.count) : 0,
+            delayMs: parseDuration(retryConfig.delayMs) ?? 0,
+            backoff: backoff === 'linear' || backoff === 'exponential' || typeof backoff === 'number' ? backoff : 'fixed',
+        },
+        timeoutMs: parseDuration(step.timeout),
+        continueOnError: step.continueOnError === true,
+    };
+}
+
+/**
+ * @param {StepPolicy['retry']} retry
+ * @param {number} attemptNumber The attempt that just failed (1-based).
+ */
+export function getRetryDelay(retry, attemptNumber) {
+    if (retry.backoff === 'linear') {
+        return retry.delayMs * attemptNumber;
+    }
+
+    if (retry.backoff === 'exponential') {
+        return retry.delayMs * 2 ** (attemptNumber - 1);
+    }
+
+    if (typeof retry.backoff === 'number') {
+        return retry.delayMs * retry.backoff ** (attemptNumber - 1);
+    }
+
+    return retry.delayMs;
+}
+
+/**
+ * Waits before a retry, or until any of the signals aborts.
+ *
+ * @param {number} delayMs
+ * @param {Array<AbortSignal | undefined>} signals
+ */
+function waitForRetryDelay(delayMs, signals) {
+    const activeSignals = signals.filter((signal) => signal !== undefined);
+    const signal = activeSignals.length > 0 ? AbortSignal.any(activeSignals) : undefined;
+
+    return new Promise((resolve) => {
+        if (delayMs <= 0 || signal?.aborted) {
+            resolve(undefined);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(undefined);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(undefined);
+        }, delayMs);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Derives a context whose signal also aborts after `timeoutMs`; the abort
+ * terminates the attempt's child processes through the tracked-process registry.
+ *
+ * @param {ExecutionContext} context
+ * @param {number | null} timeoutMs
+ */
+function createTimeoutContext(context, timeoutMs) {
+    if (timeoutMs === null) {
+        return {
+            attemptContext: context,
+            dispose: () => {},
+        };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        const timeoutError = new Error(`Timed out after ${(timeoutMs / 1000).toFixed(2)}s.`);
+        timeoutError.name = 'TimeoutError';
+        controller.abort(timeoutError);
+    }, timeoutMs);
+
+    return {
+        attemptContext: {
+            ...context,
+            signal: context.signal ? AbortSignal.any([context.signal, controller.signal]) : controller.signal,
+        },
+        dispose: () => clearTimeout(timer),
+    };
+}
+
+/**
+ * Runs `attempt` under a retry/timeout/continue-on-error policy.
+ *
+ * Nodes of failed attempts are marked RETRIED; a tolerated final failure is
+ * marked ALLOWED_FAIL and resolves instead of rejecting.
+ *
+ * @param {StepPolicy} policy
+ * @param {ExecutionContext} context
+ * @param {string} label
+ * @param {(context: ExecutionContext) => Promise<void>} attempt
+ * @returns {Promise<'PASS' | 'ALLOWED_FAIL'>}
+ */
+async function runWithPolicy(policy, context, label, attempt) {
+    const maxAttempts = policy.retry.count + 1;
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        const { attemptContext, dispose } = createTimeoutContext(context, policy.timeoutMs);
+
+        try {
+            await attempt(attemptContext);
+            return 'PASS';
+        } catch (error) {
+            if (isShuttingDown(context) || context.signal?.aborted) {
+                throw error;
+            }
+
+            const failedStat = errorStats.get(/** @type {object} */ (error));
+            const message = error instanceof Error ? error.message : String(error);
+
+            if (attemptNumber < maxAttempts) {
+                const delayMs = getRetryDelay(policy.retry, attemptNumber);
+                if (failedStat) {
+                    failedStat.status = 'RETRIED';
+                    context.session.stats.finishStat(failedStat);
+                }
+
+                console.warn(`\x1b[33m[Retry] ${label} failed (attempt ${attemptNumber}/${maxAttempts}): ${message} Retrying in ${(delayMs / 1000).toFixed(2)}s...\x1b[0m`);
+                // `finally` steps keep running through a shutdown, so only other steps stop waiting.
+                await waitForRetryDelay(delayMs, [context.signal, context.cleanup === true ? undefined : context.session.shutdownSignal]);
+                if (isShuttingDown(context) || context.signal?.aborted) {
+                    throw error;
+                }
+
+                continue;
+            }
+
+            if (policy.continueOnError) {
+                if (failedStat) {
+                    failedStat.status = 'ALLOWED_FAIL';
+                    context.session.stats.finishStat(failedStat);
+                }
+
+                console.warn(`\x1b[33m[Allowed failure] ${label}: ${message}\x1b[0m`);
+                return 'ALLOWED_FAIL';
+            }
+
+            throw error;
+        } finally {
+            dispose();
+        }
+    }
+}
+
+/**
+ * @param {unknown} step
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number } | null} parentStat
+ */
+async function runTaskStep(step, context, parentStat) {
+    if (isPlainObject(step) && step.if !== undefined) {
+        await runConditionalStep(step, context, parentStat);
+        return;
+    }
+
+    if (typeof step === 'string') {
+        await runCommandOrTask(step, context, parentStat);
+        return;
+    }
+
+    if (isPlainObject(step)) {
+        if (typeof step.service === 'string') {
+            await startService(step, await applyStepEnvironment(step, context), parentStat);
+            return;
+        }
+
+        const command = typeof step.cmd === 'string' ? step.cmd : step.script;
+
+        if (typeof command === 'string') {
+            const stepContext = await applyStepEnvironment(step, context);
+            // A dry run spawns nothing, so there is nothing to retry or time out.
+            const policy = context.dryRun ? null : getStepPolicy(step);
+
+            const captureName = typeof step.capture === 'string' ? step.capture : null;
+            /** @type {string | undefined} */
+            let output;
+
+            if (policy) {
+                await runWithPolicy(policy, stepContext, command, async (attemptContext) => {
+                    output = await runCommandOrTask(command, attemptContext, parentStat, step.interactive === true, captureName !== null);
+                });
+            } else {
+                output = await runCommandOrTask(command, stepContext, parentStat, step.interactive === true, captureName !== null);
+            }
+
+            if (captureName) {
+                storeCapturedOutput(captureName, output, stepContext);
+            }
+            return;
+        }
+    }
+
+    throw new Error(`Unsupported step type: ${typeof step}`);
+}
+
+/**
+ * Evaluates the `if:` of a task or step, logging why it is skipped when the
+ * condition does not hold.
+ *
+ * @param {Record<string, unknown>} step
+ * @param {string} label Names the step in the log and keys its `changed` fingerprint.
+ * @param {ExecutionContext} context
+ * @returns {Promise<import('./conditions.js').ConditionResult>}
+ */
+async function checkStepCondition(step, label, context) {
+    const result = await evaluateCondition(parseCondition(step.if), {
+        siteRoot: context.siteRoot,
+        variables: context.variables,
+        strictPlaceholders: context.strictPlaceholders,
+        taskCache: context.taskCache,
+        key: label,
+    });
+
+    if (!result.met) {
+        console.log(`\x1b[90m[Skipped] ${label}: ${result.reason}\x1b[0m`);
+    }
+
+    return result;
+}
+
+/**
+ * Remembers the files seen by a passed step's `changed` condition, so it is
+ * skipped until they change again.
+ *
+ * @param {import('./conditions.js').ConditionResult} result
+ * @param {ExecutionContext} context
+ */
+async function recordConditionFingerprint(result, context) {
+    if (result.changed && context.taskCache && !context.dryRun) {
+        await context.taskCache.record(result.changed.key, result.changed.fingerprint);
+    }
+}
+
+/**
+ * The stats type and name a skipped command would have run under. The command
+ * never runs, so one that does not resolve here (e.g. a tool that only exists
+ * on the platform its `if:` targets) is shown as CMD rather than failing the task.
+ *
+ * @param {string} command
+ * @param {ExecutionContext} context
+ * @returns {{ statType: string, statName: string }}
+ */
+function describeSkippedCommand(command, context) {
+    try {
+        const classification = classifyCommand(String(injectVariables(command, context.variables, { quiet: true })), context.scripts, context.toolCatalog);
+        return classification.kind === 'script' && classification.scriptName
+            ? { statType: 'TASK', statName: classification.scriptName }
+            : describeClassifiedCommand(classification, []);
+    } catch {
+        return { statType: 'CMD', statName: command.trim() };
+    }
+}
+
+/**
+ * Runs a step with an `if:` when its condition holds, or records it as a
+ * SKIPPED node.
+ *
+ * @param {Record<string, unknown>} step
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number } | null} parentStat
+ */
+async function runConditionalStep(step, context, parentStat) {
+    const label = getStepLabel(step);
+    const result = await checkStepCondition(step, label, context);
+
+    if (!result.met) {
+        const command = step.service ?? step.cmd ?? step.script;
+        const { statType, statName } = typeof command === 'string'
+            ? describeSkippedCommand(command, context)
+            : { statType: 'TASK', statName: label };
+
+        context.session.stats.addStat({
+            type: statType,
+            name: statName,
+            parentId: parentStat ? parentStat.id : null,
+            depth: parentStat ? parentStat.depth + 1 : 0,
+            status: 'SKIPPED',
+            duration: 0,
+        });
+        return;
+    }
+
+    const { if: _condition, ...unconditionalStep } = step;
+    await runTaskStep(unconditionalStep, context, parentStat);
+    await recordConditionFingerprint(result, context);
+}
+
+/**
+ * Starts a `service:` step in the background and waits for its `ready:` check.
+ * The service keeps running while later steps run and is stopped by
+ * `stopServices` when the task that started it ends.
+ *
+ * @param {Record<string, unknown>} step
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number } | null} parentStat
+ */
+async function startService(step, context, parentStat) {
+    const command = String(step.service);
+    const readyValue = step.ready === undefined ? null : String(injectVariables(String(step.ready), context.variables, { strict: context.strictPlaceholders }));
+    const check = readyValue === null ? null : parseReadyCheck(readyValue);
+    const readyTimeoutMs = step.readyTimeout === undefined ? DEFAULT_READY_TIMEOUT_MS : (parseDuration(step.readyTimeout) ?? DEFAULT_READY_TIMEOUT_MS);
+    const readyLabel = check ? ` (ready when ${describeReadyCheck(check)})` : '';
+
+    if (!context.services) {
+        throw new Error(`Service "${command}" can only run as a step of a task.`);
+    }
+
+    if (context.dryRun) {
+        console.log(`\x1b[35m[Dry run] Service ${command}${readyLabel}, stopped when the task ends\x1b[0m`);
+        await runCommandOrTask(command, context, parentStat);
+        return;
+    }
+
+    const controller = new AbortController();
+    let output = '';
+    /** @type {ExecutionContext} */
+    const serviceContext = {
+        ...withoutForwardedArgs(context),
+        signal: context.signal ? AbortSignal.any([context.signal, controller.signal]) : controller.signal,
+        onServiceOutput: check?.kind === 'log'
+            ? (text) => {
+                output = (output + text).slice(-SERVICE_LOG_BUFFER_CHARS);
+            }
+            : context.onServiceOutput,
+    };
+
+    console.log(`\x1b[35m[Service] Starting ${command}${readyLabel}\x1b[0m`);
+
+    /** @type {ServiceHandle} */
+    const handle = { name: command, controller, run: Promise.resolve(), exited: false, failure: null };
+    handle.run = runCommandOrTask(command, serviceContext, parentStat).then(
+        () => {
+            handle.exited = true;
+        },
+        (error) => {
+            handle.exited = true;
+            if (!controller.signal.aborted) {
+                handle.failure = error;
+            }
+        }
+    );
+    context.services.push(handle);
+
+    if (check) {
+        const waitStart = Date.now();
+        try {
+            await waitForReady(check, {
+                name: command,
+                timeoutMs: readyTimeoutMs,
+                signal: context.signal,
+                getOutput: () => output,
+                hasExited: () => handle.exited,
+            });
+        } catch (error) {
+            if (!handle.exited && !context.signal?.aborted) {
+                // Stop it now rather than with the task's other services, so its node ends
+                // TIMEOUT (or FAIL when the check itself could not run) instead of PASS.
+                const reason = new Error(error instanceof Error ? error.message : String(error));
+                reason.name = Date.now() - waitStart >= readyTimeoutMs ? 'TimeoutError' : 'ReadyCheckFailed';
+                controller.abort(reason);
+                await handle.run;
+            }
+
+            throw handle.failure ?? error;
+        }
+    }
+
+    console.log(`\x1b[35m[Service] ${command} is ready.\x1b[0m`);
+}
+
+/**
+ * Stops every service a task started, newest first, and waits for them to exit.
+ * Resolves with the failure of a service that died on its own, if any.
+ *
+ * @param {ServiceHandle[]} services
+ * @returns {Promise<unknown>}
+ */
+async function stopServices(services) {
+    for (const handle of [...services].reverse()) {
+        if (!handle.exited) {
+            console.log(`\x1b[35m[Service] Stopping ${handle.name}\x1b[0m`);
+            const reason = new Error(`Service "${handle.name}" stopped.`);
+            reason.name = 'ServiceStopped';
+            handle.controller.abort(reason);
+        }
+
+        await handle.run;
+    }
+
+    return services.find((handle) => handle.failure !== null)?.failure ?? null;
+}
+
+/**
+ * Runs a task body with its own service scope, stopping its services when it
+ * ends. A service that crashed while the body ran fails the task.
+ *
+ * @param {unknown} task
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ */
+async function runTaskBodyWithServices(task, taskName, context, taskStat) {
+    /** @type {ServiceHandle[]} */
+    const services = [];
+    /** @type {unknown} */
+    let serviceFailure = null;
+
+    try {
+        await runTaskBody(task, taskName, { ...context, services }, taskStat);
+    } finally {
+        serviceFailure = await stopServices(services);
+    }
+
+    if (serviceFailure) {
+        throw serviceFailure;
+    }
+}
+
+/**
+ * Stores a step's trimmed stdout under its `capture:` name in the current task's
+ * variable scope, where later steps and nested tasks can read it as `{{name}}`.
+ * A tolerated failure captures nothing; a dry run stores a `__name__` stand-in.
+ *
+ * @param {string} name
+ * @param {string | undefined} output
+ * @param {ExecutionContext} context
+ */
+function storeCapturedOutput(name, output, context) {
+    if (context.dryRun) {
+        context.variables[name] = `__${name}__`;
+        return;
+    }
+
+    if (output === undefined) {
+        return;
+    }
+
+    context.variables[name] = output.trim();
+    console.log(`\x1b[36m[Capture] ${name} = ${context.variables[name]}\x1b[0m`);
+}
+
+/**
+ * A task's own `capture:` value is handed back to whoever ran the task;
+ * everything else captured inside it stays in its scope.
+ *
+ * @param {unknown} task
+ * @param {ExecutionContext} taskContext
+ * @returns {Record<string, unknown>}
+ */
+function getTaskExports(task, taskContext) {
+    if (!isPlainObject(task) || typeof task.capture !== 'string' || taskContext.variables[task.capture] === undefined) {
+        return {};
+    }
+
+    return { [task.capture]: taskContext.variables[task.capture] };
+}
+
+/**
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} parentStat
+ * @returns {ExecutionContext}
+ */
+function createChildExecutionContext(context, parentStat) {
+    return {
+        ...context,
+        execution: {
+            parentId: parentStat.id,
+            depth: parentStat.depth + 1,
+        },
+    };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toStringList(value) {
+    if (typeof value === 'string') {
+        return [value];
+    }
+
+    if (Array.isArray(value)) {
+        return value.filter((entry) => typeof entry === 'string');
+    }
+
+    return [];
+}
+
+/**
+ * Applies the `envFile`, `env` and `cwd` keys of a task or step object.
+ * Values support {{placeholders}}; `envFile` and `cwd` resolve from the site root,
+ * and `env` entries override values loaded from env files.
+ *
+ * @param {Record<string, unknown>} step
+ * @param {ExecutionContext} context
+ * @returns {Promise<ExecutionContext>}
+ */
+async function applyStepEnvironment(step, context) {
+    if (step.env === undefined && step.envFile === undefined && step.cwd === undefined) {
+        return context;
+    }
+
+    /** @type {Record<string, string>} */
+    const env = { ...(context.env ?? {}) };
+
+    for (const envFile of toStringList(step.envFile)) {
+        Object.assign(env, await loadEnvFile(context.siteRoot, String(injectVariables(envFile, context.variables, { strict: context.strictPlaceholders }))));
+    }
+
+    if (isPlainObject(step.env)) {
+        for (const [key, value] of Object.entries(step.env)) {
+            env[key] = value === null || value === undefined ? '' : String(injectVariables(String(value), context.variables, { strict: context.strictPlaceholders }));
+        }
+    }
+
+    const cwd = typeof step.cwd === 'string'
+        ? path.resolve(context.siteRoot, String(injectVariables(step.cwd, context.variables, { strict: context.strictPlaceholders })))
+        : context.cwd;
+
+    return {
+        ...context,
+        env,
+        cwd,
+    };
+}
+
+/**
+ * Returns a context that no longer forwards CLI arguments; only a task's
+ * final command receives the arguments passed after `--`.
+ *
+ * @param {ExecutionContext} context
+ * @returns {ExecutionContext}
+ */
+function withoutForwardedArgs(context) {
+    if (!context.forwardArgs || context.forwardArgs.length === 0) {
+        return context;
+    }
+
+    return {
+        ...context,
+        forwardArgs: [],
+    };
+}
+
+/**
+ * Runs a raw string as either a managed task, a managed tool, or shell text.
+ *
+ * @param {string} value
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number } | null} parentStat
+ * @param {boolean} [interactive]
+ * @param {boolean} [captureOutput] Pipe stdout (still echoed) and resolve with it, for `capture:`.
+ * @returns {Promise<string | undefined>}
+ */
+async function runCommandOrTask(value, context, parentStat, interactive = false, captureOutput = false) {
+    if (typeof value !== 'string') {
+        throw new Error(`Unsupported step type: ${typeof value}`);
+    }
+
+    if (isShuttingDown(context)) {
+        throw new Error('Execution interrupted.');
+    }
+
+    throwIfCancelled(context);
+
+    /** @type {SpawnOptions} */
+    const spawnOptions = {
+        session: context.session,
+        stdinMode: interactive ? 'inherit' : 'null',
+        signal: context.signal,
+        captureStderr: context.captureStderr === true,
+        captureStdout: captureOutput,
+        onOutput: context.onServiceOutput,
+        outputBranch: context.outputBranch,
+        logDir: context.logDir,
+        cleanup: context.cleanup === true,
+    };
+    const injectedCommand = injectVariables(value, context.variables, { strict: context.strictPlaceholders });
+    const classification = classifyCommand(injectedCommand, context.scripts, context.toolCatalog);
+    const forwardArgs = context.forwardArgs ?? [];
+    const workingDirectory = context.cwd ?? context.siteRoot;
+
+    if (captureOutput && (classification.kind === 'script' || classification.kind === 'fs')) {
+        throw new Error(`\`capture\` needs a command that prints to stdout, but "${injectedCommand}" is ${classification.kind === 'fs' ? 'an fs: action' : 'a task reference'}.`);
+    }
+
+    if (classification.kind === 'script' && classification.scriptName) {
+        if (!parentStat) {
+            throw new Error('Missing execution parent for nested task dispatch.');
+        }
+
+        Object.assign(context.variables, await runTaskOnce(classification.scriptName, createChildExecutionContext(context, parentStat)));
+        return;
+    }
+
+    if (context.dryRun) {
+        await planCommand(classification, forwardArgs, workingDirectory, context, parentStat);
+        return;
+    }
+
+    if (classification.kind === 'tool' && classification.tool) {
+        return await executeDenoTool(
+            classification.tool,
+            [...(classification.args ?? []), ...forwardArgs],
+            workingDirectory,
+            context.env,
+            parentStat,
+            spawnOptions
+        );
+    }
+
+    if (classification.kind === 'fs' && classification.fsAction) {
+        await executeFs(
+            classification.fsAction,
+            [...(classification.fsArgs ?? []), ...forwardArgs],
+            workingDirectory,
+            parentStat,
+            context.session
+        );
+        return;
+    }
+
+    if (classification.kind === 'path' && classification.executable) {
+        return await executePath(
+            classification.executable,
+            [...(classification.args ?? []), ...forwardArgs],
+            workingDirectory,
+            context.env,
+            parentStat,
+            spawnOptions
+        );
+    }
+
+    const shellCommand = appendShellArguments(classification, forwardArgs);
+    return await executeShell(classification.shellKind ?? 'cross-shell', shellCommand, workingDirectory, context.env, parentStat, spawnOptions);
+}
+
+/**
+ * Identifies one run of a task within an invocation: its name plus what is
+ * passed into it (arguments, `{{args.*}}` and `{{matrix.*}}` values, `env` and
+ * `cwd`). The same task reached with other inputs is a different run.
+ *
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ */
+function getTaskRunKey(taskName, context) {
+    const scopedVariables = Object.entries(context.variables)
+        .filter(([key]) => key.startsWith('args.') || key.startsWith('matrix.'))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const env = Object.entries(context.env ?? {}).sort(([a], [b]) => a.localeCompare(b));
+
+    return JSON.stringify([taskName, context.forwardArgs ?? [], scopedVariables, env, context.cwd ?? null]);
+}
+
+/**
+ * Runs a task referenced from another task (`depends:`, a step or a series or
+ * parallel entry) at most once per invocation: a run with the same key that
+ * already finished, or is still running, is awaited instead of started again.
+ *
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @returns {Promise<Record<string, unknown>>}
+ */
+function runTaskOnce(taskName, context) {
+    return context.taskRuns?.get(getTaskRunKey(taskName, context)) ?? runTask(taskName, context);
+}
+
+/**
+ * Runs every `depends:` entry of a task at most once per invocation.
+ * Independent dependencies start together.
+ *
+ * @param {string[]} dependencies
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ */
+async function runTaskDependencies(dependencies, context, taskStat) {
+    const runs = dependencies.map((dependency) => runTaskOnce(dependency, createChildExecutionContext(context, taskStat)));
+    const results = await Promise.allSettled(runs);
+    const rejectedResult = results.find((result) => result.status === 'rejected');
+
+    if (rejectedResult && rejectedResult.status === 'rejected') {
+        throw rejectedResult.reason;
+    }
+
+    for (const result of results) {
+        if (result.status === 'fulfilled') {
+            Object.assign(context.variables, result.value);
+        }
+    }
+}
+
+/**
+ * Main Task Runner Logic (Recursive for parallel/series).
+ *
+ * Every invocation is recorded in `context.taskRuns` under its
+ * `getTaskRunKey`, so later references reuse the run instead of starting the
+ * same task again.
+ *
+ * A top-level call starts a run: it takes fresh `{{date.*}}` and `{{git.*}}` values.
+ *
+ * Resolves with the task's exported `capture:` value, if any.
+ *
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @returns {Promise<Record<string, unknown>>}
+ */
+export function runTask(taskName, context) {
+    const runContext = context.taskRuns
+        ? context
+        : { ...context, taskRuns: new Map(), variables: withBuiltinState(context.variables, context.siteRoot) };
+    const run = executeTask(taskName, runContext);
+    runContext.taskRuns.set(getTaskRunKey(taskName, runContext), run);
+    return run;
+}
+
+/**
+ * Runs the steps of a task according to its shape (string, list, parallel,
+ * series, or cmd/script object).
+ *
+ * @param {unknown} task
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ */
+async function runTaskBody(task, taskName, context, taskStat) {
+    if (typeof task === 'string') {
+        await runCommandOrTask(task, context, taskStat);
+        return;
+    }
+
+    if (Array.isArray(task)) {
+        await runStepsInSeries(task, context, taskStat);
+        return;
+    }
+
+    if (task && typeof task === 'object') {
+        if (task.parallel && Array.isArray(task.parallel)) {
+            const concurrency = resolveConcurrency(task.concurrency, task.parallel.length) ?? task.parallel.length;
+            const concurrencyLabel = concurrency < task.parallel.length ? ` (concurrency ${concurrency})` : '';
+            console.log(`\x1b[33m[Parallel] Starting: ${task.parallel.map(getStepLabel).join(', ')}${concurrencyLabel}\x1b[0m`);
+            if (context.forwardArgs && context.forwardArgs.length > 0) {
+                console.warn(`\x1b[33m[Warning] Arguments are not forwarded into the parallel steps of "${taskName}".\x1b[0m`);
+            }
+
+            await runStepsInParallel(task.parallel, withoutForwardedArgs(context), taskStat, {
+                concurrency,
+                failFast: task.failFast === true,
+                grouped: task.output === 'grouped',
+            });
+            return;
+        }
+
+        if (task.series && Array.isArray(task.series)) {
+            await runStepsInSeries(task.series, context, taskStat);
+            return;
+        }
+
+        if (task.cmd || task.script) {
+            const captureName = typeof task.capture === 'string' ? task.capture : null;
+            const output = await runCommandOrTask(task.cmd || task.script, context, taskStat, task.interactive === true, captureName !== null);
+            if (captureName) {
+                storeCapturedOutput(captureName, output, context);
+            }
+            return;
+        }
+
+        // An aggregate task such as `all: { depends: [a, b] }` has no steps of its own.
+        if (task.depends !== undefined) {
+            return;
+        }
+    }
+
+    throw new Error(`Task "${taskName}" has an unsupported shape.`);
+}
+
+/**
+ * Names a step for output prefixes: the task or command it runs.
+ *
+ * @param {unknown} step
+ * @returns {string}
+ */
+function getStepLabel(step) {
+    if (typeof step === 'string') {
+        return step.trim();
+    }
+
+    if (isPlainObject(step)) {
+        for (const key of ['service', 'cmd', 'script']) {
+            if (typeof step[key] === 'string') {
+                return step[key].trim();
+            }
+        }
+
+        if (Array.isArray(step.parallel)) {
+            return 'parallel';
+        }
+    }
+
+    return Array.isArray(step) ? 'series' : 'step';
+}
+
+/**
+ * Runs steps with at most `concurrency` in flight. Without fail-fast every step
+ * runs to completion before the first failure is rethrown; with fail-fast the
+ * first failure aborts the block, terminating sibling processes (marked
+ * CANCELLED) and skipping steps that have not started yet.
+ *
+ * Each step's output is prefixed with its label, or with `grouped` held back
+ * and printed as one block when the step finishes.
+ *
+ * @param {unknown[]} steps
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ * @param {{ concurrency: number, failFast: boolean, grouped: boolean }} options
+ */
+async function runStepsInParallel(steps, context, taskStat, options) {
+    const failFastController = options.failFast ? new AbortController() : null;
+    const parallelContext = failFastController
+        ? {
+            ...context,
+            signal: context.signal ? AbortSignal.any([context.signal, failFastController.signal]) : failFastController.signal,
+        }
+        : context;
+    /** @type {unknown[]} */
+    const failures = [];
+    let nextIndex = 0;
+
+    const runNextSteps = async () => {
+        while (nextIndex < steps.length && !parallelContext.signal?.aborted && !isShuttingDown(context)) {
+            const step = steps[nextIndex++];
+            const outputBranch = createOutputBranch(getStepLabel(step), { grouped: options.grouped, parent: context.outputBranch ?? null });
+
+            try {
+                await runTaskStep(step, { ...parallelContext, outputBranch }, taskStat);
+            } catch (error) {
+                failures.push(error);
+
+                if (failFastController && !failFastController.signal.aborted) {
+                    console.warn(`\x1b[33m[Fail-fast] ${error instanceof Error ? error.message : String(error)} Cancelling remaining parallel steps...\x1b[0m`);
+                    failFastController.abort();
+                }
+            } finally {
+                flushOutputBranch(outputBranch);
+            }
+        }
+    };
+
+    const workerCount = Math.min(options.concurrency, steps.length);
+    await Promise.all(Array.from({ length: workerCount }, () => runNextSteps()));
+
+    if (failures.length > 0) {
+        throw failures[0];
+    }
+
+    throwIfCancelled(context);
+}
+
+/**
+ * @param {unknown[]} steps
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ */
+async function runStepsInSeries(steps, context, taskStat) {
+    for (let index = 0; index < steps.length; index++) {
+        if (isShuttingDown(context)) {
+            throw new Error('Execution interrupted.');
+        }
+
+        const stepContext = index === steps.length - 1 ? context : withoutForwardedArgs(context);
+        await runTaskStep(steps[index], stepContext, taskStat);
+    }
+}
+
+/**
+ * Returns the steps of a task's `before:`, `after:` or `finally:` hook; a
+ * single step is treated as a list of one.
+ *
+ * @param {unknown} task
+ * @param {'before' | 'after' | 'finally'} hook
+ * @returns {unknown[]}
+ */
+export function getHookSteps(task, hook) {
+    if (!isPlainObject(task) || task[hook] === undefined || task[hook] === null) {
+        return [];
+    }
+
+    return Array.isArray(task[hook]) ? task[hook] : [task[hook]];
+}
+
+/**
+ * Runs a task's `finally:` steps once its other steps have ended, however they
+ * ended. They ignore cancellation and keep running through a shutdown: their
+ * processes are not terminated by `requestShutdown`, which waits for them.
+ * Resolves with the cleanup's own failure instead of rejecting, so the caller
+ * can report the task's original error first.
+ *
+ * @param {unknown[]} steps
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ * @returns {Promise<{ error: unknown } | null>}
+ */
+async function runFinallySteps(steps, taskName, context, taskStat) {
+    console.log(`\x1b[33m[Finally] ${taskName}${context.session.shutdownRequested ? ' (running cleanup before exiting)' : ''}\x1b[0m`);
+
+    try {
+        await runTaskBodyWithServices(steps, taskName, { ...withoutForwardedArgs(context), signal: undefined, cleanup: true }, taskStat);
+        return null;
+    } catch (error) {
+        console.error(`\x1b[31m[Finally] ${taskName} cleanup failed: ${error instanceof Error ? error.message : String(error)}\x1b[0m`);
+        return { error };
+    }
+}
+
+/**
+ * Records a finished task node, telling interrupted and cancelled runs apart from failures.
+ *
+ * @param {import('./stats.js').StatRecord} taskStat
+ * @param {string} status
+ * @param {number} start
+ * @param {ExecutionContext} context
+ */
+function finishTaskStat(taskStat, status, start, context) {
+    taskStat.duration = Date.now() - start;
+    const finished = status === 'PASS' || status === 'CACHED' || status === 'ALLOWED_FAIL' || status === 'PLANNED' || status === 'SKIPPED';
+    if (!finished && isShuttingDown(context)) {
+        taskStat.status = 'INTERRUPTED';
+    } else if (!finished && status !== 'TIMEOUT' && context.signal?.aborted) {
+        taskStat.status = 'CANCELLED';
+    } else {
+        taskStat.status = /** @type {import('./stats.js').StatStatus} */ (status);
+    }
+
+    context.session.stats.finishStat(taskStat);
+}
+
+/**
+ * Runs one instance of a task (the task itself, or one combination of its
+ * matrix) under its cache declarations, environment and retry/timeout policy,
+ * between its `before:`/`after:` hooks and followed by its `finally:` steps.
+ *
+ * @param {unknown} task
+ * @param {string} taskName Name used for the cache entry and log messages.
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ * @returns {Promise<{ status: 'PASS' | 'CACHED' | 'ALLOWED_FAIL' | 'PLANNED', exports: Record<string, unknown> }>}
+ */
+async function runTaskInstance(task, taskName, context, taskStat) {
+    let taskContext = context;
+    /** @type {StepPolicy | null} */
+    let policy = null;
+    /** @type {string | null} */
+    let fingerprint = null;
+
+    if (isPlainObject(task)) {
+        taskContext = await applyStepEnvironment(task, context);
+
+        if (context.taskCache && hasCacheDeclarations(task)) {
+            fingerprint = await computeTaskFingerprint(task, context.siteRoot, context.variables, {
+                forwardArgs: context.forwardArgs,
+                env: taskContext.env,
+                cwd: taskContext.cwd,
+            });
+
+            if (context.taskCache.isFresh(taskName, fingerprint) && await hasDeclaredOutputs(task, context.siteRoot, context.variables)) {
+                console.log(`\x1b[36m[Cached] ${taskName} is up to date.\x1b[0m`);
+                return { status: 'CACHED', exports: {} };
+            }
+        }
+
+        policy = context.dryRun ? null : getStepPolicy(task);
+    }
+
+    const beforeSteps = getHookSteps(task, 'before');
+    const afterSteps = getHookSteps(task, 'after');
+    const finallySteps = getHookSteps(task, 'finally');
+
+    /** @type {'PASS' | 'ALLOWED_FAIL' | 'PLANNED'} */
+    let status = context.dryRun ? 'PLANNED' : 'PASS';
+    /** @type {{ error: unknown } | null} */
+    let failure = null;
+
+    try {
+        if (beforeSteps.length > 0) {
+            console.log(`\x1b[33m[Before] ${taskName}\x1b[0m`);
+            await runTaskBodyWithServices(beforeSteps, taskName, withoutForwardedArgs(taskContext), taskStat);
+        }
+
+        // `retry` and `timeout` apply to the main steps only, not to the hooks around them.
+        if (policy) {
+            status = await runWithPolicy(policy, taskContext, taskName, (attemptContext) => {
+                return runTaskBodyWithServices(task, taskName, attemptContext, taskStat);
+            });
+        } else {
+            await runTaskBodyWithServices(task, taskName, taskContext, taskStat);
+        }
+
+        if (afterSteps.length > 0) {
+            console.log(`\x1b[33m[After] ${taskName}\x1b[0m`);
+            await runTaskBodyWithServices(afterSteps, taskName, withoutForwardedArgs(taskContext), taskStat);
+        }
+    } catch (error) {
+        failure = { error };
+    }
+
+    if (finallySteps.length > 0) {
+        const cleanupFailure = await runFinallySteps(finallySteps, taskName, taskContext, taskStat);
+        failure ??= cleanupFailure;
+    }
+
+    if (failure) {
+        throw failure.error;
+    }
+
+    if (status === 'PASS' && fingerprint && context.taskCache) {
+        await context.taskCache.record(taskName, fingerprint);
+    }
+
+    return { status, exports: getTaskExports(task, taskContext) };
+}
+
+/**
+ * Expands `matrix: { site: [a, b], os: [linux, windows] }` into every combination.
+ *
+ * @param {Record<string, unknown>} matrix
+ * @returns {Record<string, unknown>[]}
+ */
+export function expandMatrix(matrix) {
+    /** @type {Record<string, unknown>[]} */
+    let combinations = [{}];
+
+    for (const [key, values] of Object.entries(matrix)) {
+        const options = Array.isArray(values) ? values : [values];
+        combinations = combinations.flatMap((combination) => options.map((value) => ({ ...combination, [key]: value })));
+    }
+
+    return combinations;
+}
+
+/**
+ * @param {Record<string, unknown>} task
+ * @param {string} taskName
+ * @param {Record<string, unknown>} combination
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} parentStat
+ */
+async function runMatrixCombination(task, taskName, combination, context, parentStat) {
+    const start = Date.now();
+    let status = 'FAIL';
+    const label = `${taskName} [${Object.entries(combination).map(([key, value]) => `${key}=${value}`).join(', ')}]`;
+    const combinationStat = context.session.stats.addStat({
+        type: 'TASK',
+        name: label,
+        parentId: parentStat.id,
+        depth: parentStat.depth + 1,
+        status: 'RUNNING',
+        duration: 0,
+    });
+
+    try {
+        throwIfCancelled(context);
+
+        /** @type {Record<string, unknown>} */
+        const variables = { ...context.variables };
+        for (const [key, value] of Object.entries(combination)) {
+            variables[`matrix.${key}`] = value;
+        }
+
+        const combinationContext = { ...context, variables };
+        // A matrix task's `if:` is checked per combination, so it can test {{matrix.<key>}}.
+        const condition = task.if === undefined ? null : await checkStepCondition(task, label, combinationContext);
+        if (condition && !condition.met) {
+            status = 'SKIPPED';
+            return;
+        }
+
+        ({ status } = await runTaskInstance(task, label, combinationContext, combinationStat));
+        if (condition && status === 'PASS') {
+            await recordConditionFingerprint(condition, combinationContext);
+        }
+    } catch (error) {
+        if (isTimeoutError(error)) {
+            status = 'TIMEOUT';
+        } else if (isServiceStop(error)) {
+            status = 'PASS';
+        }
+
+        throw attachErrorStat(error, combinationStat);
+    } finally {
+        finishTaskStat(combinationStat, status, start, context);
+    }
+}
+
+/**
+ * Runs a `matrix:` task once per combination, each as its own TASK node with
+ * `{{matrix.<key>}}` set. Combinations run in series, or all at once with
+ * `matrixMode: parallel`; a parallel matrix lets every combination finish
+ * before rethrowing the first failure.
+ *
+ * @param {Record<string, unknown>} task
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @param {{ id: number, depth: number }} taskStat
+ */
+async function runMatrix(task, taskName, context, taskStat) {
+    const combinations = expandMatrix(/** @type {Record<string, unknown>} */ (task.matrix));
+    const parallel = task.matrixMode === 'parallel';
+    console.log(`\x1b[33m[Matrix] ${taskName}: ${combinations.length} combination${combinations.length === 1 ? '' : 's'}${parallel ? ' in parallel' : ''}\x1b[0m`);
+
+    if (!parallel) {
+        for (const combination of combinations) {
+            await runMatrixCombination(task, taskName, combination, context, taskStat);
+        }
+
+        return;
+    }
+
+    const results = await Promise.allSettled(combinations.map((combination) => {
+        return runMatrixCombination(task, taskName, combination, context, taskStat);
+    }));
+    const rejectedResult = results.find((result) => result.status === 'rejected');
+
+    if (rejectedResult && rejectedResult.status === 'rejected') {
+        throw rejectedResult.reason;
+    }
+}
+
+/**
+ * Each task runs in its own copy of the variable scope, so values captured
+ * inside it are visible to its later steps and nested tasks but not to siblings.
+ * A task whose `if:` does not hold is recorded as SKIPPED without running its
+ * dependencies.
+ *
+ * @param {string} taskName
+ * @param {ExecutionContext} context
+ * @returns {Promise<Record<string, unknown>>}
+ */
+async function executeTask(taskName, context) {
     const start = Date.now();
     let status = 'FAIL';
     const executionScope = context.execution ?? {
         parentId: null,
         depth: 0,
     };
-    const taskStat = addStat({
+    const taskStat = context.session.stats.addStat({
         type: 'TASK',
         name: taskName,
         parentId: executionScope.parentId,
@@ -620,75 +2026,62 @@ export async function runTask(taskName, context) {
     });
 
     try {
-        if (shutdownRequested) {
+        if (isShuttingDown(context)) {
             status = 'INTERRUPTED';
             throw new Error('Execution interrupted.');
         }
 
+        throwIfCancelled(context);
+
         const task = context.scripts[taskName];
 
         if (!task) {
             throw new Error(`Task "${taskName}" not found in scripts.yaml`);
         }
 
-        if (typeof task === 'string') {
-            await runCommandOrTask(task, context, taskStat);
-            status = 'PASS';
-            return;
-        }
-
-        if (Array.isArray(task)) {
-            for (const step of task) {
-                if (shutdownRequested) {
-                    status = 'INTERRUPTED';
-                    throw new Error('Execution interrupted.');
-                }
+        /** @type {ExecutionContext} */
+        const taskContext = { ...context, variables: { ...context.variables } };
 
-                await runTaskStep(step, context, taskStat);
+        /** @type {import('./conditions.js').ConditionResult | null} */
+        let condition = null;
+        if (isPlainObject(task) && task.if !== undefined && !isPlainObject(task.matrix)) {
+            condition = await checkStepCondition(task, taskName, taskContext);
+            if (!condition.met) {
+                status = 'SKIPPED';
+                return {};
             }
-            status = 'PASS';
-            return;
         }
 
-        if (typeof task === 'object') {
-            if (task.parallel && Array.isArray(task.parallel)) {
-                console.log(`\x1b[33m[Parallel] Starting: ${task.parallel.join(', ')}\x1b[0m`);
-                const promises = task.parallel.map((t) => runTaskStep(t, context, taskStat));
-                const results = await Promise.allSettled(promises);
-                const rejectedResult = results.find((result) => result.status === 'rejected');
-
-                if (rejectedResult && rejectedResult.status === 'rejected') {
-                    throw rejectedResult.reason;
-                }
-
-                status = 'PASS';
-                return;
+        if (isPlainObject(task)) {
+            const dependencies = getTaskDependencies(task.depends);
+            if (dependencies.length > 0) {
+                console.log(`\x1b[33m[Depends] ${taskName} -> ${dependencies.join(', ')}\x1b[0m`);
+                await runTaskDependencies(dependencies, withoutForwardedArgs(taskContext), taskStat);
             }
 
-            if (task.series && Array.isArray(task.series)) {
-                for (const subTask of task.series) {
-                    if (shutdownRequested) {
-                        status = 'INTERRUPTED';
-                        throw new Error('Execution interrupted.');
-                    }
-
-                    await runTaskStep(subTask, context, taskStat);
-                }
-                status = 'PASS';
-                return;
+            if (isPlainObject(task.matrix)) {
+                await runMatrix(task, taskName, taskContext, taskStat);
+                status = context.dryRun ? 'PLANNED' : 'PASS';
+                return {};
             }
+        }
 
-            if (task.cmd || task.script) {
-                await runCommandOrTask(task.cmd || task.script, context, taskStat, task.interactive === true);
-                status = 'PASS';
-                return;
-            }
+        const result = await runTaskInstance(task, taskName, taskContext, taskStat);
+        status = result.status;
+        if (condition && status === 'PASS') {
+            await recordConditionFingerprint(condition, taskContext);
+        }
+
+        return result.exports;
+    } catch (error) {
+        if (isTimeoutError(error)) {
+            status = 'TIMEOUT';
+        } else if (isServiceStop(error)) {
+            status = 'PASS';
         }
 
-        throw new Error(`Task "${taskName}" has an unsupported shape.`);
+        throw attachErrorStat(error, taskStat);
     } finally {
-        const duration = Date.now() - start;
-        taskStat.duration = duration;
-        taskStat.status = shutdownRequested && status !== 'PASS' ? 'INTERRUPTED' : status;
+        finishTaskStat(taskStat, status, start, context);
     }
 }
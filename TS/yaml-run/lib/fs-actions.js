@@ -0,0 +1,692 @@
+import path from 'node:path';
+
+import { expandGlob } from 'jsr:@std/fs@1.0.23';
+
+import { writeTarArchive, writeZipArchive } from './archive.js';
+import { collectMatchedFiles, sha256Hex } from './cache.js';
+import { isGlobPattern, matchesPathPatterns } from './utils.js';
+
+const isWin = Deno.build.os === 'windows';
+
+/**
+ * Usage of every native `fs:` action, keyed by action name.
+ */
+export const FS_ACTION_USAGE = {
+    rm: 'rm <path|glob>... [--exclude <glob>]...',
+    mkdir: 'mkdir <path>...',
+    copy: 'copy <source|glob> <destination> [--exclude <glob>]...',
+    move: 'move <source|glob> <destination>',
+    touch: 'touch <file>...',
+    write: 'write <file> <text>',
+    append: 'append <file> <text>',
+    chmod: 'chmod <octal mode> <path|glob>...',
+    hash: 'hash <path|glob>... [> <file>]',
+    zip: 'zip <archive> <path|glob>... [--exclude <glob>]...',
+    tar: 'tar <archive[.tar|.tar.gz|.tgz]> <path|glob>... [--exclude <glob>]...',
+};
+
+const EXCLUDE_ACTIONS = new Set(['rm', 'copy', 'zip', 'tar']);
+
+/**
+ * @typedef {keyof typeof FS_ACTION_USAGE} FsAction
+ *
+ * @typedef {{
+ *     positionals: string[],
+ *     excludes: string[],
+ *     outputFile: string | null,
+ *     redirected: boolean,
+ * }} FsArguments
+ */
+
+/**
+ * @param {string} action
+ * @returns {action is FsAction}
+ */
+export function isSupportedFsAction(action) {
+    return Object.prototype.hasOwnProperty.call(FS_ACTION_USAGE, action);
+}
+
+/**
+ * Splits `--exclude <glob>` / `--exclude=<glob>` filters and a trailing `> <file>`
+ * redirect from the positional arguments of an `fs:` action.
+ *
+ * @param {string[]} args
+ * @returns {FsArguments}
+ */
+export function parseFsArguments(args) {
+    /** @type {FsArguments} */
+    const parsed = { positionals: [], excludes: [], outputFile: null, redirected: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--exclude') {
+            if (i + 1 < args.length) {
+                parsed.excludes.push(args[++i]);
+            } else {
+                parsed.excludes.push('');
+            }
+
+            continue;
+        }
+
+        if (arg.startsWith('--exclude=')) {
+            parsed.excludes.push(arg.slice('--exclude='.length));
+            continue;
+        }
+
+        if (arg === '>') {
+            parsed.redirected = true;
+            parsed.outputFile = args.length === i + 2 ? args[i + 1] : null;
+            break;
+        }
+
+        parsed.positionals.push(arg);
+    }
+
+    return parsed;
+}
+
+/**
+ * Returns why an `fs:` invocation is malformed, or null when it is well formed.
+ * Shared by the validator and the executor so both report the same problems.
+ *
+ * @param {string} action
+ * @param {string[]} args
+ * @returns {string | null}
+ */
+export function getFsUsageError(action, args) {
+    if (!isSupportedFsAction(action)) {
+        return `Unknown fs action: ${action}. Supported actions are ${Object.keys(FS_ACTION_USAGE).join(', ')}.`;
+    }
+
+    const usage = `Usage: fs: ${FS_ACTION_USAGE[action]}`;
+    const { positionals, excludes, outputFile, redirected } = parseFsArguments(args);
+
+    if (excludes.length > 0 && !EXCLUDE_ACTIONS.has(action)) {
+        return `The \`fs: ${action}\` action does not support --exclude. ${usage}`;
+    }
+
+    if (excludes.some((pattern) => pattern.length === 0)) {
+        return `--exclude requires a glob. ${usage}`;
+    }
+
+    if (redirected && action !== 'hash') {
+        return `Only \`fs: hash\` supports \`> <file>\`. ${usage}`;
+    }
+
+    switch (action) {
+        case 'rm':
+        case 'mkdir':
+        case 'touch': {
+            return positionals.length > 0 ? null : `The \`fs: ${action}\` action requires at least one path. ${usage}`;
+        }
+        case 'copy':
+        case 'move': {
+            return positionals.length === 2 ? null : `The \`fs: ${action}\` action requires exactly one source path and one destination path. ${usage}`;
+        }
+        case 'write':
+        case 'append': {
+            return positionals.length > 0 ? null : `The \`fs: ${action}\` action requires a file. ${usage}`;
+        }
+        case 'chmod': {
+            if (positionals.length < 2) {
+                return `The \`fs: chmod\` action requires a mode and at least one path. ${usage}`;
+            }
+
+            return /^[0-7]{3,4}$/.test(positionals[0]) ? null : `The \`fs: chmod\` mode must be octal, e.g. 755. ${usage}`;
+        }
+        case 'hash': {
+            if (positionals.length === 0) {
+                return `The \`fs: hash\` action requires at least one path or glob. ${usage}`;
+            }
+
+            return redirected && !outputFile ? `\`>\` must be followed by exactly one file. ${usage}` : null;
+        }
+        case 'zip':
+        case 'tar': {
+            return positionals.length >= 2 ? null : `The \`fs: ${action}\` action requires an archive path and at least one source. ${usage}`;
+        }
+        default: {
+            return null;
+        }
+    }
+}
+
+/**
+ * @param {string} targetPath
+ */
+export async function pathExists(targetPath) {
+    try {
+        return await Deno.stat(targetPath);
+    } catch (error) {
+        if (error instanceof Deno.errors.NotFound) {
+            return null;
+        }
+
+        throw error;
+    }
+}
+
+async function removePath(targetPath) {
+    try {
+        await Deno.remove(targetPath, { recursive: true });
+    } catch (error) {
+        if (!(error instanceof Deno.errors.NotFound)) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Expands an `fs:` target into the absolute paths it currently matches.
+ *
+ * @param {string} targetSpec
+ * @param {string} workingDirectory
+ * @returns {Promise<string[]>}
+ */
+export async function expandFsTarget(targetSpec, workingDirectory) {
+    if (!isGlobPattern(targetSpec)) {
+        const targetPath = path.resolve(workingDirectory, targetSpec);
+        return (await pathExists(targetPath)) ? [targetPath] : [];
+    }
+
+    const globOptions = path.isAbsolute(targetSpec) ? undefined : { root: workingDirectory };
+    /** @type {string[]} */
+    const matches = [];
+
+    for await (const entry of expandGlob(targetSpec, globOptions)) {
+        matches.push(path.resolve(workingDirectory, entry.path));
+    }
+
+    return matches;
+}
+
+/**
+ * Builds the `--exclude` predicate; patterns match `/`-separated paths relative
+ * to the working directory, so they behave the same on Windows and Linux.
+ *
+ * @param {string[]} excludes
+ * @param {string} workingDirectory
+ * @returns {(absolutePath: string) => boolean}
+ */
+function createExcludeMatcher(excludes, workingDirectory) {
+    const patterns = excludes.map((pattern) => pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, ''));
+
+    return (absolutePath) => {
+        if (patterns.length === 0) {
+            return false;
+        }
+
+        const relativePath = path.relative(workingDirectory, absolutePath).replace(/\\/g, '/');
+        return matchesPathPatterns(relativePath, patterns);
+    };
+}
+
+/**
+ * Removes a path, keeping excluded entries (and the directories that contain them).
+ *
+ * @param {string} targetPath
+ * @param {(absolutePath: string) => boolean} isExcluded
+ * @returns {Promise<boolean>} Whether the path is fully gone.
+ */
+async function removeFiltered(targetPath, isExcluded) {
+    if (isExcluded(targetPath)) {
+        return false;
+    }
+
+    const info = await pathExists(targetPath);
+    if (!info) {
+        return true;
+    }
+
+    if (!info.isDirectory) {
+        await removePath(targetPath);
+        return true;
+    }
+
+    let removedAll = true;
+    for await (const entry of Deno.readDir(targetPath)) {
+        if (!await removeFiltered(path.join(targetPath, entry.name), isExcluded)) {
+            removedAll = false;
+        }
+    }
+
+    if (removedAll) {
+        await removePath(targetPath);
+    }
+
+    return removedAll;
+}
+
+/**
+ * Copies a file or directory tree to exactly `destinationPath`.
+ *
+ * @param {string} sourcePath
+ * @param {string} destinationPath
+ * @param {(absolutePath: string) => boolean} isExcluded
+ */
+async function copyTree(sourcePath, destinationPath, isExcluded) {
+    if (isExcluded(sourcePath)) {
+        return;
+    }
+
+    const sourceInfo = await Deno.stat(sourcePath);
+
+    if (sourceInfo.isDirectory) {
+        await Deno.mkdir(destinationPath, { recursive: true });
+
+        for await (const entry of Deno.readDir(sourcePath)) {
+            await copyTree(
+                path.join(sourcePath, entry.name),
+                path.join(destinationPath, entry.name),
+                isExcluded
+            );
+        }
+
+        return;
+    }
+
+    await Deno.mkdir(path.dirname(destinationPath), { recursive: true });
+    await Deno.copyFile(sourcePath, destinationPath);
+}
+
+/**
+ * @param {unknown} error
+ */
+function isCrossDeviceError(error) {
+    return error instanceof Deno.errors.NotSupported || (error instanceof Error && 'code' in error && error.code === 'EXDEV');
+}
+
+/**
+ * Renames a path. Only a rename across devices falls back to copy + remove:
+ * the copy goes to a temporary sibling of the destination first, so an existing
+ * destination is only replaced once the copy has succeeded.
+ *
+ * @param {string} sourcePath
+ * @param {string} destinationPath
+ */
+async function movePath(sourcePath, destinationPath) {
+    await Deno.mkdir(path.dirname(destinationPath), { recursive: true });
+
+    try {
+        await Deno.rename(sourcePath, destinationPath);
+        return;
+    } catch (error) {
+        if (!isCrossDeviceError(error)) {
+            throw error;
+        }
+    }
+
+    const temporaryPath = `${destinationPath}.yaml-run-move-${crypto.randomUUID().slice(0, 8)}`;
+    try {
+        await copyTree(sourcePath, temporaryPath, () => false);
+    } catch (error) {
+        await removePath(temporaryPath);
+        throw error;
+    }
+
+    await removePath(destinationPath);
+    await Deno.rename(temporaryPath, destinationPath);
+    await removePath(sourcePath);
+}
+
+/**
+ * Resolves where `copy` / `move` put each source: inside the destination when it
+ * is a glob target or an existing directory, otherwise at the destination itself.
+ *
+ * @param {string} sourceSpec
+ * @param {string} destinationSpec
+ * @param {string} workingDirectory
+ * @returns {Promise<Array<{ source: string, destination: string }>>}
+ */
+async function resolveTransfers(sourceSpec, destinationSpec, workingDirectory) {
+    const destinationPath = path.resolve(workingDirectory, destinationSpec);
+
+    if (isGlobPattern(sourceSpec)) {
+        const matches = await expandFsTarget(sourceSpec, workingDirectory);
+        return matches.map((match) => ({ source: match, destination: path.join(destinationPath, path.basename(match)) }));
+    }
+
+    const sourcePath = path.resolve(workingDirectory, sourceSpec);
+    const destinationInfo = await pathExists(destinationPath);
+
+    return [{
+        source: sourcePath,
+        destination: destinationInfo?.isDirectory ? path.join(destinationPath, path.basename(sourcePath)) : destinationPath,
+    }];
+}
+
+/**
+ * @param {string[]} patterns
+ * @param {string} workingDirectory
+ * @returns {Promise<string[]>}
+ */
+async function collectHashedFiles(patterns, workingDirectory) {
+    /** @type {Set<string>} */
+    const files = new Set();
+    for (const pattern of patterns) {
+        for (const filePath of await collectMatchedFiles(workingDirectory, pattern)) {
+            files.add(filePath);
+        }
+    }
+
+    return Array.from(files).sort();
+}
+
+/**
+ * Hashes every file matched by the patterns as `<sha256>  <relative path>` lines,
+ * the format `sha256sum -c` reads.
+ *
+ * @param {string[]} patterns
+ * @param {string} workingDirectory
+ */
+async function createHashManifest(patterns, workingDirectory) {
+    /** @type {string[]} */
+    const lines = [];
+    for (const filePath of await collectHashedFiles(patterns, workingDirectory)) {
+        const relativePath = path.relative(workingDirectory, filePath).replace(/\\/g, '/');
+        lines.push(`${await sha256Hex(await Deno.readFile(filePath))}  ${relativePath}`);
+    }
+
+    return lines;
+}
+
+/**
+ * @param {string} archivePath
+ * @param {string[]} sourceSpecs
+ * @param {string} workingDirectory
+ * @param {(absolutePath: string) => boolean} isExcluded
+ * @returns {Promise<import('./archive.js').ArchiveEntry[]>}
+ */
+async function collectArchiveEntries(archivePath, sourceSpecs, workingDirectory, isExcluded) {
+    /** @type {Map<string, import('./archive.js').ArchiveEntry>} */
+    const entries = new Map();
+
+    /**
+     * @param {string} absolutePath
+     * @param {string} baseDirectory
+     */
+    const addPath = async (absolutePath, baseDirectory) => {
+        if (absolutePath === archivePath || isExcluded(absolutePath)) {
+            return;
+        }
+
+        const info = await Deno.stat(absolutePath);
+        const name = path.relative(baseDirectory, absolutePath).replace(/\\/g, '/');
+
+        entries.set(name, {
+            name,
+            isDirectory: info.isDirectory,
+            sourcePath: absolutePath,
+            size: info.isDirectory ? 0 : info.size,
+            mtime: info.mtime ?? new Date(),
+            mode: info.mode ?? (info.isDirectory ? 0o755 : 0o644),
+        });
+
+        if (info.isDirectory) {
+            for await (const entry of Deno.readDir(absolutePath)) {
+                await addPath(path.join(absolutePath, entry.name), baseDirectory);
+            }
+        }
+    };
+
+    for (const sourceSpec of sourceSpecs) {
+        const matches = await expandFsTarget(sourceSpec, workingDirectory);
+        if (matches.length === 0 && !isGlobPattern(sourceSpec)) {
+            throw new Error(`fs: archive source not found: ${sourceSpec}`);
+        }
+
+        for (const match of matches) {
+            // Paths outside the working directory are stored relative to their own parent.
+            const relativeToWorkingDirectory = path.relative(workingDirectory, match);
+            const insideWorkingDirectory = relativeToWorkingDirectory && !relativeToWorkingDirectory.startsWith('..') && !path.isAbsolute(relativeToWorkingDirectory);
+            await addPath(match, insideWorkingDirectory ? workingDirectory : path.dirname(match));
+        }
+    }
+
+    return Array.from(entries.values()).sort((left, right) => (left.name < right.name ? -1 : left.name > right.name ? 1 : 0));
+}
+
+/**
+ * Runs a native filesystem action.
+ *
+ * @param {string} action
+ * @param {string[]} args
+ * @param {string} workingDirectory
+ */
+export async function runFsAction(action, args, workingDirectory) {
+    const usageError = getFsUsageError(action, args);
+    if (usageError) {
+        throw new Error(usageError);
+    }
+
+    const { positionals, excludes, outputFile } = parseFsArguments(args);
+    const isExcluded = createExcludeMatcher(excludes, workingDirectory);
+
+    switch (action) {
+        case 'rm': {
+            for (const targetSpec of positionals) {
+                for (const match of await expandFsTarget(targetSpec, workingDirectory)) {
+                    if (excludes.length === 0) {
+                        await removePath(match);
+                    } else {
+                        await removeFiltered(match, isExcluded);
+                    }
+                }
+            }
+
+            break;
+        }
+        case 'mkdir': {
+            for (const directorySpec of positionals) {
+                await Deno.mkdir(path.resolve(workingDirectory, directorySpec), { recursive: true });
+            }
+
+            break;
+        }
+        case 'copy':
+        case 'move': {
+            const [sourceSpec, destinationSpec] = positionals;
+            const transfers = await resolveTransfers(sourceSpec, destinationSpec, workingDirectory);
+
+            for (const transfer of transfers) {
+                if (action === 'copy') {
+                    await copyTree(transfer.source, transfer.destination, isExcluded);
+                } else {
+                    await movePath(transfer.source, transfer.destination);
+                }
+            }
+
+            break;
+        }
+        case 'touch': {
+            const now = new Date();
+
+            for (const fileSpec of positionals) {
+                const filePath = path.resolve(workingDirectory, fileSpec);
+
+                if (await pathExists(filePath)) {
+                    await Deno.utime(filePath, now, now);
+                } else {
+                    await Deno.mkdir(path.dirname(filePath), { recursive: true });
+                    await Deno.writeFile(filePath, new Uint8Array(0));
+                }
+            }
+
+            break;
+        }
+        case 'write':
+        case 'append': {
+            const [fileSpec, ...textParts] = positionals;
+            const filePath = path.resolve(workingDirectory, fileSpec);
+
+            await Deno.mkdir(path.dirname(filePath), { recursive: true });
+            await Deno.writeTextFile(filePath, `${textParts.join(' ')}\n`, { append: action === 'append' });
+            break;
+        }
+        case 'chmod': {
+            // Windows has no POSIX permission bits; the action is a no-op there so scripts stay portable.
+            if (isWin) {
+                break;
+            }
+
+            const [modeSpec, ...targetSpecs] = positionals;
+            const mode = Number.parseInt(modeSpec, 8);
+
+            for (const targetSpec of targetSpecs) {
+                if (!isGlobPattern(targetSpec)) {
+                    await Deno.chmod(path.resolve(workingDirectory, targetSpec), mode);
+                    continue;
+                }
+
+                for (const match of await expandFsTarget(targetSpec, workingDirectory)) {
+                    await Deno.chmod(match, mode);
+                }
+            }
+
+            break;
+        }
+        case 'hash': {
+            const lines = await createHashManifest(positionals, workingDirectory);
+
+            if (outputFile) {
+                const outputPath = path.resolve(workingDirectory, outputFile);
+                await Deno.mkdir(path.dirname(outputPath), { recursive: true });
+                await Deno.writeTextFile(outputPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+            } else {
+                lines.forEach((line) => console.log(line));
+            }
+
+            break;
+        }
+        case 'zip':
+        case 'tar': {
+            const [archiveSpec, ...sourceSpecs] = positionals;
+            const archivePath = path.resolve(workingDirectory, archiveSpec);
+            const entries = await collectArchiveEntries(archivePath, sourceSpecs, workingDirectory, isExcluded);
+
+            await Deno.mkdir(path.dirname(archivePath), { recursive: true });
+            const archiveFile = await Deno.open(archivePath, { write: true, create: true, truncate: true });
+            try {
+                if (action === 'zip') {
+                    await writeZipArchive(entries, archiveFile.writable);
+                } else {
+                    await writeTarArchive(entries, archiveFile.writable, { gzip: /\.(tgz|tar\.gz)$/i.test(archivePath) });
+                }
+            } catch (error) {
+                // The writers close the file either way; drop the partial archive.
+                await removePath(archivePath);
+                throw error;
+            }
+
+            break;
+        }
+        default: {
+            throw new Error(`Unknown fs action: ${action}`);
+        }
+    }
+}
+
+/**
+ * Lists what an `fs:` action would touch, with globs expanded against the current tree.
+ *
+ * @param {string} action
+ * @param {string[]} args
+ * @param {string} workingDirectory
+ * @returns {Promise<string[]>}
+ */
+export async function planFsAction(action, args, workingDirectory) {
+    const usageError = getFsUsageError(action, args);
+    if (usageError) {
+        throw new Error(usageError);
+    }
+
+    const { positionals, excludes, outputFile } = parseFsArguments(args);
+    const exceptSuffix = excludes.length > 0 ? ` (except ${excludes.join(', ')})` : '';
+    /** @type {string[]} */
+    const lines = [];
+
+    switch (action) {
+        case 'rm': {
+            for (const targetSpec of positionals) {
+                const matches = await expandFsTarget(targetSpec, workingDirectory);
+                if (matches.length === 0) {
+                    lines.push(`remove ${path.resolve(workingDirectory, targetSpec)} (nothing matches)`);
+                }
+
+                for (const match of matches) {
+                    lines.push(`remove ${match}${exceptSuffix}`);
+                }
+            }
+
+            break;
+        }
+        case 'mkdir': {
+            for (const directorySpec of positionals) {
+                lines.push(`create ${path.resolve(workingDirectory, directorySpec)}`);
+            }
+
+            break;
+        }
+        case 'copy':
+        case 'move': {
+            const [sourceSpec, destinationSpec] = positionals;
+            const transfers = await resolveTransfers(sourceSpec, destinationSpec, workingDirectory);
+
+            if (transfers.length === 0) {
+                lines.push(`${action} ${path.resolve(workingDirectory, sourceSpec)} (nothing matches)`);
+            }
+
+            for (const transfer of transfers) {
+                const missing = await pathExists(transfer.source) ? '' : ' (source missing)';
+                lines.push(`${action} ${transfer.source} -> ${transfer.destination}${missing}${action === 'copy' ? exceptSuffix : ''}`);
+            }
+
+            break;
+        }
+        case 'touch': {
+            for (const fileSpec of positionals) {
+                lines.push(`touch ${path.resolve(workingDirectory, fileSpec)}`);
+            }
+
+            break;
+        }
+        case 'write':
+        case 'append': {
+            const [fileSpec, ...textParts] = positionals;
+            lines.push(`${action} ${JSON.stringify(`${textParts.join(' ')}\n`)} to ${path.resolve(workingDirectory, fileSpec)}`);
+            break;
+        }
+        case 'chmod': {
+            const [modeSpec, ...targetSpecs] = positionals;
+
+            for (const targetSpec of targetSpecs) {
+                const matches = isGlobPattern(targetSpec) ? await expandFsTarget(targetSpec, workingDirectory) : [path.resolve(workingDirectory, targetSpec)];
+                for (const match of matches) {
+                    lines.push(`chmod ${modeSpec} ${match}${isWin ? ' (skipped on Windows)' : ''}`);
+                }
+            }
+
+            break;
+        }
+        case 'hash': {
+            const files = await collectHashedFiles(positionals, workingDirectory);
+            lines.push(`hash ${files.length} file(s) -> ${outputFile ? path.resolve(workingDirectory, outputFile) : 'stdout'}`);
+            break;
+        }
+        case 'zip':
+        case 'tar': {
+            const [archiveSpec, ...sourceSpecs] = positionals;
+            const archivePath = path.resolve(workingDirectory, archiveSpec);
+            const entries = await collectArchiveEntries(archivePath, sourceSpecs, workingDirectory, createExcludeMatcher(excludes, workingDirectory));
+            lines.push(`${action} ${entries.length} entries -> ${archivePath}${exceptSuffix}`);
+            break;
+        }
+        default: {
+            throw new Error(`Unknown fs action: ${action}`);
+        }
+    }
+
+    return lines;
+}
@@ -0,0 +1,202 @@
+import { injectVariables } from './config.js';
+import { classifyCommand } from './resolution.js';
+
+/**
+ * @typedef {{
+ *     target: string,
+ *     kind: 'depends' | 'step',
+ * }} TaskEdge
+ *
+ * @typedef {{
+ *     scripts: Record<string, unknown>,
+ *     variables: Record<string, unknown>,
+ *     toolCatalog: Map<string, Array<{ label: string, executeSpec: string }>>,
+ * }} GraphContext
+ */
+
+/**
+ * Normalizes a `depends:` value into a list of task names.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function getTaskDependencies(value) {
+    if (typeof value === 'string') {
+        return [value];
+    }
+
+    if (Array.isArray(value)) {
+        return value.filter((entry) => typeof entry === 'string');
+    }
+
+    return [];
+}
+
+/**
+ * Returns the task a command runs when it resolves to the `script` kind, or null.
+ *
+ * @param {string} command
+ * @param {GraphContext} context
+ * @returns {string | null}
+ */
+export function resolveScriptReference(command, context) {
+    try {
+        // Undefined placeholders are reported by the validator, not once more for every graph built.
+        const classification = classifyCommand(injectVariables(command, context.variables, { quiet: true }), context.scripts, context.toolCatalog);
+        return classification.kind === 'script' && classification.scriptName ? classification.scriptName : null;
+    } catch {
+        // Unresolvable commands are reported by the validator; they never reference a task.
+        return null;
+    }
+}
+
+/**
+ * @param {unknown} step
+ * @param {GraphContext} context
+ * @param {TaskEdge[]} edges
+ */
+function collectStepEdges(step, context, edges) {
+    if (typeof step === 'string') {
+        const scriptName = resolveScriptReference(step, context);
+        if (scriptName) {
+            edges.push({ target: scriptName, kind: 'step' });
+        }
+
+        return;
+    }
+
+    if (Array.isArray(step)) {
+        for (const subStep of step) {
+            collectStepEdges(subStep, context, edges);
+        }
+
+        return;
+    }
+
+    if (!step || typeof step !== 'object') {
+        return;
+    }
+
+    const recordStep = /** @type {Record<string, unknown>} */ (step);
+
+    for (const dependency of getTaskDependencies(recordStep.depends)) {
+        edges.push({ target: dependency, kind: 'depends' });
+    }
+
+    for (const hook of ['before', 'after', 'finally']) {
+        collectStepEdges(recordStep[hook], context, edges);
+    }
+
+    if (Array.isArray(recordStep.parallel)) {
+        collectStepEdges(recordStep.parallel, context, edges);
+    } else if (Array.isArray(recordStep.series)) {
+        collectStepEdges(recordStep.series, context, edges);
+    } else if (typeof recordStep.cmd === 'string') {
+        collectStepEdges(recordStep.cmd, context, edges);
+    } else if (typeof recordStep.script === 'string') {
+        collectStepEdges(recordStep.script, context, edges);
+    } else if (typeof recordStep.service === 'string') {
+        collectStepEdges(recordStep.service, context, edges);
+    }
+}
+
+/**
+ * Collects the task references of every script: `depends:` entries and steps
+ * that resolve to another task.
+ *
+ * @param {GraphContext} context
+ * @returns {Map<string, TaskEdge[]>}
+ */
+export function buildTaskGraph(context) {
+    /** @type {Map<string, TaskEdge[]>} */
+    const graph = new Map();
+
+    for (const [scriptName, task] of Object.entries(context.scripts)) {
+        /** @type {TaskEdge[]} */
+        const edges = [];
+        collectStepEdges(task, context, edges);
+        graph.set(scriptName, edges);
+    }
+
+    return graph;
+}
+
+/**
+ * Returns the task and every task it can reach through steps and `depends:`.
+ *
+ * @param {string} taskName
+ * @param {Map<string, TaskEdge[]>} graph
+ * @returns {Set<string>}
+ */
+export function collectReachableTasks(taskName, graph) {
+    /** @type {Set<string>} */
+    const reachable = new Set();
+    const pending = [taskName];
+
+    while (pending.length > 0) {
+        const current = /** @type {string} */ (pending.pop());
+        if (reachable.has(current)) {
+            continue;
+        }
+
+        reachable.add(current);
+        for (const edge of graph.get(current) ?? []) {
+            pending.push(edge.target);
+        }
+    }
+
+    return reachable;
+}
+
+/**
+ * Returns every distinct cycle in the task graph as a list of task names,
+ * with the first task repeated at the end.
+ *
+ * @param {Map<string, TaskEdge[]>} graph
+ * @returns {string[][]}
+ */
+export function findTaskCycles(graph) {
+    /** @type {string[][]} */
+    const cycles = [];
+    /** @type {Set<string>} */
+    const seenCycles = new Set();
+    /** @type {Set<string>} */
+    const visited = new Set();
+    /** @type {string[]} */
+    const stack = [];
+
+    /**
+     * @param {string} taskName
+     */
+    function visit(taskName) {
+        const stackIndex = stack.indexOf(taskName);
+        if (stackIndex !== -1) {
+            const cycle = stack.slice(stackIndex);
+            const cycleKey = [...cycle].sort().join('\0');
+
+            if (!seenCycles.has(cycleKey)) {
+                seenCycles.add(cycleKey);
+                cycles.push([...cycle, taskName]);
+            }
+
+            return;
+        }
+
+        if (visited.has(taskName) || !graph.has(taskName)) {
+            return;
+        }
+
+        stack.push(taskName);
+        for (const edge of graph.get(taskName) ?? []) {
+            visit(edge.target);
+        }
+        stack.pop();
+        visited.add(taskName);
+    }
+
+    for (const taskName of graph.keys()) {
+        visit(taskName);
+    }
+
+    return cycles;
+}
@@ -0,0 +1,376 @@
+import { injectVariables } from './config.js';
+import { getTaskDependencies } from './graph.js';
+import { classifyCommand } from './resolution.js';
+import { isPlainObject } from './utils.js';
+import { withRuntimeStandIns } from './validation.js';
+
+const OPTION_KEYS = [
+    'if',
+    'inputs',
+    'outputs',
+    'watch',
+    'env',
+    'envFile',
+    'cwd',
+    'retry',
+    'timeout',
+    'continueOnError',
+    'concurrency',
+    'failFast',
+    'output',
+    'interactive',
+    'capture',
+    'matrix',
+    'matrixMode',
+    'ready',
+    'readyTimeout',
+];
+
+/**
+ * @typedef {{
+ *     scripts: Record<string, unknown>,
+ *     variables: Record<string, unknown>,
+ *     toolCatalog: Map<string, Array<{ label: string, executeSpec: string }>>,
+ * }} HelpContext
+ *
+ * @typedef {{
+ *     name: string,
+ *     shape: 'string' | 'list' | 'series' | 'parallel' | 'cmd' | 'script' | 'depends' | 'unknown',
+ *     kind: string,
+ *     description: string,
+ * }} TaskListEntry
+ *
+ * @typedef {{
+ *     label: string,
+ *     children: DescribeNode[],
+ * }} DescribeNode
+ */
+
+/**
+ * @param {unknown} task
+ * @returns {TaskListEntry['shape']}
+ */
+export function getTaskShape(task) {
+    if (typeof task === 'string') {
+        return 'string';
+    }
+
+    if (Array.isArray(task)) {
+        return 'list';
+    }
+
+    if (isPlainObject(task)) {
+        if (Array.isArray(task.parallel)) {
+            return 'parallel';
+        }
+
+        if (Array.isArray(task.series)) {
+            return 'series';
+        }
+
+        if (typeof task.cmd === 'string') {
+            return 'cmd';
+        }
+
+        if (typeof task.script === 'string') {
+            return 'script';
+        }
+
+        if (task.depends !== undefined && task.service === undefined) {
+            return 'depends';
+        }
+    }
+
+    return 'unknown';
+}
+
+/**
+ * Describes how a command string resolves, e.g. `tool (local-package:@scope/pkg:bin)`.
+ *
+ * @param {string} command
+ * @param {HelpContext} context
+ */
+export function describeCommandKind(command, context) {
+    try {
+        const classification = classifyCommand(String(injectVariables(command, context.variables)), context.scripts, context.toolCatalog);
+
+        switch (classification.kind) {
+            case 'script': {
+                return `script (${classification.scriptName})`;
+            }
+            case 'tool': {
+                return `tool (${classification.tool?.label ?? classification.firstToken})`;
+            }
+            case 'path': {
+                return `path (${classification.executable})`;
+            }
+            case 'fs': {
+                return `fs (${classification.fsAction})`;
+            }
+            default: {
+                return `shell (${classification.shellKind ?? 'cross-shell'})`;
+            }
+        }
+    } catch (error) {
+        return `error (${error instanceof Error ? error.message : String(error)})`;
+    }
+}
+
+/**
+ * @param {unknown} task
+ * @param {HelpContext} context
+ */
+function describeTaskKind(task, context) {
+    const shape = getTaskShape(task);
+
+    if (shape === 'string') {
+        return describeCommandKind(/** @type {string} */ (task), context);
+    }
+
+    if (shape === 'cmd' || shape === 'script') {
+        const recordTask = /** @type {Record<string, unknown>} */ (task);
+        return describeCommandKind(String(recordTask.cmd ?? recordTask.script), context);
+    }
+
+    if (shape === 'list') {
+        return `${/** @type {unknown[]} */ (task).length} steps`;
+    }
+
+    if (shape === 'series' || shape === 'parallel') {
+        const steps = /** @type {Record<string, unknown[]>} */ (task)[shape];
+        return `${steps.length} steps`;
+    }
+
+    if (shape === 'depends') {
+        return `${getTaskDependencies(/** @type {Record<string, unknown>} */ (task).depends).length} dependencies`;
+    }
+
+    return '-';
+}
+
+/**
+ * Lists every task in scripts.yaml with its shape, resolved command kind and description.
+ *
+ * @param {HelpContext} context
+ * @returns {TaskListEntry[]}
+ */
+export function listTasks(context) {
+    const runtimeContext = { ...context, variables: withRuntimeStandIns(context.scripts, context.variables) };
+    return Object.entries(context.scripts).map(([name, task]) => ({
+        name,
+        shape: getTaskShape(task),
+        kind: describeTaskKind(task, runtimeContext),
+        description: isPlainObject(task) && typeof task.description === 'string' ? task.description : '',
+    }));
+}
+
+/**
+ * @param {TaskListEntry[]} entries
+ */
+export function formatTaskList(entries) {
+    if (entries.length === 0) {
+        return ['No tasks defined in scripts.yaml.'];
+    }
+
+    const nameWidth = Math.max(...entries.map((entry) => entry.name.length));
+    const shapeWidth = Math.max(...entries.map((entry) => entry.shape.length));
+    const kindWidth = Math.max(...entries.map((entry) => entry.kind.length));
+
+    return entries.map((entry) => {
+        const columns = `\x1b[36m${entry.name.padEnd(nameWidth)}\x1b[0m  ${entry.shape.padEnd(shapeWidth)}  \x1b[90m${entry.kind.padEnd(kindWidth)}\x1b[0m`;
+        return entry.description ? `${columns}  ${entry.description}` : columns.trimEnd();
+    });
+}
+
+/**
+ * Prints each catalogued tool with where it comes from and which names reach it.
+ *
+ * @param {import('./resolution.js').ToolCatalogEntry[]} entries
+ */
+export function formatToolCatalog(entries) {
+    if (entries.length === 0) {
+        return ['No tools found in package.json, deno.json or the workspace packages.'];
+    }
+
+    /** @type {string[]} */
+    const lines = [];
+
+    for (const entry of entries) {
+        lines.push(`\x1b[36m${entry.label}\x1b[0m`);
+        lines.push(`    runs:       ${entry.executeSpec}`);
+        lines.push(`    source:     ${entry.sourcePath}`);
+        lines.push(`    names:      ${entry.names.length > 0 ? entry.names.join(', ') : '\x1b[90m(none)\x1b[0m'}`);
+
+        for (const { name, label } of entry.shadowedBy) {
+            lines.push(`    \x1b[90mshadowed:   ${name} resolves to ${label}\x1b[0m`);
+        }
+
+        for (const { name, message } of entry.ambiguousNames) {
+            lines.push(`    \x1b[33mambiguous:  ${name} - ${message}\x1b[0m`);
+        }
+    }
+
+    const ambiguousNames = new Set(entries.flatMap((entry) => entry.ambiguousNames.map(({ name }) => name)));
+    lines.push('');
+    lines.push(`\x1b[${ambiguousNames.size > 0 ? 33 : 32}m[Tools] ${entries.length} tool(s), ${ambiguousNames.size} ambiguous name(s).\x1b[0m`);
+    return lines;
+}
+
+/**
+ * @param {Record<string, unknown>} recordStep
+ */
+function describeOptions(recordStep) {
+    const parts = [];
+
+    for (const key of OPTION_KEYS) {
+        if (recordStep[key] === undefined) {
+            continue;
+        }
+
+        const value = recordStep[key];
+        parts.push(`${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    }
+
+    return parts.length > 0 ? ` {${parts.join('; ')}}` : '';
+}
+
+/**
+ * @param {string} command
+ * @param {HelpContext} context
+ * @param {string[]} stack
+ * @param {string} [suffix]
+ * @returns {DescribeNode}
+ */
+function buildCommandNode(command, context, stack, suffix = '') {
+    const injectedCommand = String(injectVariables(command, context.variables));
+    const kind = describeCommandKind(command, context);
+    const node = { label: `[${kind}] ${injectedCommand}${suffix}`, children: [] };
+
+    if (kind.startsWith('script (')) {
+        node.children.push(buildTaskNode(injectedCommand.trim(), context, stack));
+    }
+
+    return node;
+}
+
+/**
+ * @param {unknown} step
+ * @param {HelpContext} context
+ * @param {string[]} stack
+ * @returns {DescribeNode}
+ */
+function buildStepNode(step, context, stack) {
+    if (typeof step === 'string') {
+        return buildCommandNode(step, context, stack);
+    }
+
+    if (Array.isArray(step)) {
+        return { label: 'series', children: step.map((subStep) => buildStepNode(subStep, context, stack)) };
+    }
+
+    if (isPlainObject(step)) {
+        const options = describeOptions(step);
+
+        if (Array.isArray(step.parallel)) {
+            return { label: `parallel${options}`, children: step.parallel.map((subStep) => buildStepNode(subStep, context, stack)) };
+        }
+
+        if (Array.isArray(step.series)) {
+            return { label: `series${options}`, children: step.series.map((subStep) => buildStepNode(subStep, context, stack)) };
+        }
+
+        if (typeof step.service === 'string') {
+            return buildCommandNode(step.service, context, stack, ` (service)${options}`);
+        }
+
+        const command = typeof step.cmd === 'string' ? step.cmd : step.script;
+        if (typeof command === 'string') {
+            return buildCommandNode(command, context, stack, options);
+        }
+    }
+
+    return { label: `unsupported step: ${JSON.stringify(step)}`, children: [] };
+}
+
+/**
+ * @param {string} taskName
+ * @param {HelpContext} context
+ * @param {string[]} stack
+ * @returns {DescribeNode}
+ */
+function buildTaskNode(taskName, context, stack) {
+    const task = context.scripts[taskName];
+    const description = isPlainObject(task) && typeof task.description === 'string' ? ` - ${task.description}` : '';
+
+    if (task === undefined) {
+        return { label: `TASK ${taskName} (not found)`, children: [] };
+    }
+
+    if (stack.includes(taskName)) {
+        return { label: `TASK ${taskName} (cycle)`, children: [] };
+    }
+
+    const nextStack = [...stack, taskName];
+    /** @type {DescribeNode[]} */
+    const children = [];
+
+    if (isPlainObject(task)) {
+        for (const dependency of getTaskDependencies(task.depends)) {
+            children.push({ label: 'depends', children: [buildTaskNode(dependency, context, nextStack)] });
+        }
+    }
+
+    /**
+     * @param {'before' | 'after' | 'finally'} hook
+     */
+    const pushHookNode = (hook) => {
+        if (isPlainObject(task) && task[hook] !== undefined) {
+            const steps = Array.isArray(task[hook]) ? task[hook] : [task[hook]];
+            children.push({ label: hook, children: steps.map((step) => buildStepNode(step, context, nextStack)) });
+        }
+    };
+
+    pushHookNode('before');
+    if (getTaskShape(task) !== 'depends') {
+        children.push(buildStepNode(task, context, nextStack));
+    }
+    pushHookNode('after');
+    pushHookNode('finally');
+
+    return { label: `TASK ${taskName}${description}`, children };
+}
+
+/**
+ * @param {DescribeNode} node
+ * @param {boolean[]} ancestry
+ * @param {boolean} isLast
+ * @param {string[]} lines
+ */
+function renderNode(node, ancestry, isLast, lines) {
+    const indent = ancestry.map((hasMoreSiblings) => (hasMoreSiblings ? '|   ' : '    ')).join('');
+    const connector = ancestry.length === 0 ? '' : `${isLast ? '\\-- ' : '|-- '}`;
+    lines.push(`${indent}${connector}${node.label}`);
+
+    node.children.forEach((child, index) => {
+        renderNode(child, [...ancestry, !isLast], index === node.children.length - 1, lines);
+    });
+}
+
+/**
+ * Renders the fully expanded step tree of a task with variables injected.
+ *
+ * @param {string} taskName
+ * @param {HelpContext} context
+ * @returns {string[]}
+ */
+export function describeTask(taskName, context) {
+    if (!Object.prototype.hasOwnProperty.call(context.scripts, taskName)) {
+        throw new Error(`Task "${taskName}" not found in scripts.yaml`);
+    }
+
+    const runtimeContext = { ...context, variables: withRuntimeStandIns(context.scripts, context.variables) };
+    /** @type {string[]} */
+    const lines = [];
+    renderNode(buildTaskNode(taskName, runtimeContext, []), [], true, lines);
+    return lines;
+}
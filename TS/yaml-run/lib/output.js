@@ -0,0 +1,224 @@
+import path from 'node:path';
+
+/**
+ * Routes the output of child processes for `parallel:` blocks and `--log-dir`.
+ *
+ * Each parallel step gets an output branch. In `prefixed` mode (the default)
+ * every line is labelled with the step's name in a stable colour; in `grouped`
+ * mode the step's lines are held back and printed as one block when it ends.
+ * Branches nest, so a parallel block inside a parallel step is prefixed twice.
+ */
+
+const textEncoder = new TextEncoder();
+const ANSI_RESET = '\x1b[0m';
+const PREFIX_COLORS = ['\x1b[36m', '\x1b[32m', '\x1b[33m', '\x1b[34m', '\x1b[35m', '\x1b[96m', '\x1b[92m', '\x1b[93m', '\x1b[94m', '\x1b[95m'];
+const MAX_LABEL_LENGTH = 24;
+
+/**
+ * @typedef {'stdout' | 'stderr'} OutputStreamName
+ *
+ * @typedef {{
+ *     label: string,
+ *     prefix: string,
+ *     grouped: boolean,
+ *     lines: Array<{ stream: OutputStreamName, line: string }>,
+ *     parent: OutputBranch | null,
+ * }} OutputBranch
+ *
+ * @typedef {{ write: (chunk: Uint8Array) => Promise<number> }} OutputTarget
+ *
+ * @typedef {{
+ *     stdout: OutputTarget,
+ *     stderr: OutputTarget,
+ *     close: () => void,
+ * }} StepOutput
+ */
+
+/**
+ * Writes a whole buffer to our stdout or stderr synchronously, so lines from
+ * concurrent steps never tear.
+ *
+ * @param {OutputStreamName} stream
+ * @param {Uint8Array} bytes
+ */
+function writeToTerminal(stream, bytes) {
+    const target = stream === 'stdout' ? Deno.stdout : Deno.stderr;
+    let written = 0;
+    while (written < bytes.length) {
+        written += target.writeSync(bytes.subarray(written));
+    }
+}
+
+/**
+ * Picks the same colour for the same label on every run.
+ *
+ * @param {string} label
+ */
+function pickColor(label) {
+    let hash = 0;
+    for (const character of label) {
+        hash = (hash * 31 + character.charCodeAt(0)) >>> 0;
+    }
+
+    return PREFIX_COLORS[hash % PREFIX_COLORS.length];
+}
+
+/**
+ * @param {string} label
+ */
+function shortenLabel(label) {
+    const singleLine = label.replace(/\s+/g, ' ').trim();
+    return singleLine.length <= MAX_LABEL_LENGTH ? singleLine : `${singleLine.slice(0, MAX_LABEL_LENGTH - 3)}...`;
+}
+
+/**
+ * @param {OutputBranch | null} branch
+ * @param {OutputStreamName} stream
+ * @param {string} line
+ */
+function emitLine(branch, stream, line) {
+    if (!branch) {
+        writeToTerminal(stream, textEncoder.encode(`${line}\n`));
+        return;
+    }
+
+    if (branch.grouped) {
+        branch.lines.push({ stream, line });
+        return;
+    }
+
+    emitLine(branch.parent, stream, `${branch.prefix}${line}`);
+}
+
+/**
+ * Prints one line of yaml-run's own output (such as the `> command` echo)
+ * through a step's branch, so it stays with that step's output.
+ *
+ * @param {OutputBranch | null} branch
+ * @param {string} line
+ */
+export function writeOutputLine(branch, line) {
+    emitLine(branch, 'stdout', line);
+}
+
+/**
+ * @param {string} label
+ * @param {{ grouped?: boolean, parent?: OutputBranch | null }} [options]
+ * @returns {OutputBranch}
+ */
+export function createOutputBranch(label, options = {}) {
+    const shortLabel = shortenLabel(label);
+    return {
+        label: shortLabel,
+        prefix: `${pickColor(shortLabel)}[${shortLabel}]${ANSI_RESET} `,
+        grouped: options.grouped === true,
+        lines: [],
+        parent: options.parent ?? null,
+    };
+}
+
+/**
+ * Prints a grouped branch as one block, headed by its label. Prefixed branches
+ * have nothing buffered.
+ *
+ * @param {OutputBranch} branch
+ */
+export function flushOutputBranch(branch) {
+    if (!branch.grouped || branch.lines.length === 0) {
+        return;
+    }
+
+    const lines = branch.lines;
+    branch.lines = [];
+    emitLine(branch.parent, 'stdout', branch.prefix.trimEnd());
+    for (const { stream, line } of lines) {
+        emitLine(branch.parent, stream, `    ${line}`);
+    }
+}
+
+/**
+ * @param {string} name
+ */
+function toLogFileSlug(name) {
+    return name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'step';
+}
+
+/**
+ * Opens the output targets for one child process, or returns null when its
+ * output can go straight to the terminal. Lines go to the step's branch; with
+ * a log directory, the raw output of both streams is also written to
+ * `<logDir>/<runId>-<id>-<name>.log`. The run id keeps the logs of runs that
+ * share a log directory, such as `createRunner().run()` calls, apart.
+ *
+ * @param {{ branch?: OutputBranch | null, logDir?: string | null, runId: number, statId: number, statName: string }} options
+ * @returns {StepOutput | null}
+ */
+export function openStepOutput(options) {
+    const branch = options.branch ?? null;
+    if (!branch && !options.logDir) {
+        return null;
+    }
+
+    /** @type {Deno.FsFile | null} */
+    let logFile = null;
+    if (options.logDir) {
+        Deno.mkdirSync(options.logDir, { recursive: true });
+        const fileName = `${String(options.runId).padStart(3, '0')}-${String(options.statId).padStart(3, '0')}-${toLogFileSlug(options.statName)}.log`;
+        logFile = Deno.openSync(path.join(options.logDir, fileName), { write: true, create: true, truncate: true });
+    }
+
+    /**
+     * @param {OutputStreamName} stream
+     */
+    const createTarget = (stream) => {
+        const decoder = new TextDecoder();
+        let pending = '';
+
+        return {
+            /** @param {Uint8Array} chunk */
+            write(chunk) {
+                if (logFile) {
+                    let written = 0;
+                    while (written < chunk.length) {
+                        written += logFile.writeSync(chunk.subarray(written));
+                    }
+                }
+
+                if (!branch) {
+                    writeToTerminal(stream, chunk);
+                    return Promise.resolve(chunk.length);
+                }
+
+                pending += decoder.decode(chunk, { stream: true });
+                const lines = pending.split(/\r?\n/);
+                pending = lines.pop() ?? '';
+                for (const line of lines) {
+                    emitLine(branch, stream, line);
+                }
+
+                return Promise.resolve(chunk.length);
+            },
+            flush() {
+                pending += decoder.decode();
+                if (branch && pending.length > 0) {
+                    emitLine(branch, stream, pending);
+                }
+
+                pending = '';
+            },
+        };
+    };
+
+    const stdout = createTarget('stdout');
+    const stderr = createTarget('stderr');
+
+    return {
+        stdout,
+        stderr,
+        close() {
+            stdout.flush();
+            stderr.flush();
+            logFile?.close();
+        },
+    };
+}
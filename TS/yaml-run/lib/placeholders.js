@@ -0,0 +1,323 @@
+import { isPlainObject } from './utils.js';
+
+/**
+ * Matches a `{{ expression }}` placeholder.
+ */
+export const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Key under which a run's variables carry its {@link BuiltinState}. A symbol
+ * survives object spread but stays out of `Object.entries` and JSON.
+ */
+export const BUILTIN_STATE = Symbol('yaml-run.builtins');
+
+/**
+ * @typedef {{ literal: string } | { key: string }} PlaceholderOperand
+ *
+ * @typedef {{
+ *     operands: PlaceholderOperand[],
+ *     filters: string[],
+ * }} PlaceholderExpression
+ *
+ * @typedef {{ resolved: true, value: string }
+ *     | { resolved: false, reason: 'undefined' | 'non-primitive' }} PlaceholderResult
+ *
+ * @typedef {{
+ *     startedAt: Date,
+ *     siteRoot: string,
+ *     gitValues: Map<string, string | undefined>,
+ * }} BuiltinState
+ */
+
+/**
+ * The quoting of the shell a `cross-shell` command runs in: bash on Linux and
+ * macOS, PowerShell on Windows.
+ *
+ * @type {'posix' | 'powershell'}
+ */
+export const DEFAULT_QUOTE_STYLE = Deno.build.os === 'windows' ? 'powershell' : 'posix';
+
+/**
+ * Quotes a value as one literal argument for a shell command line, leaving
+ * plain words as they are. POSIX shells and PowerShell get single quotes, so
+ * `$VAR`, backticks and `$(...)` in the value are not expanded. cmd.exe gets
+ * double quotes; it still expands `%NAME%`, which it offers no way to escape.
+ *
+ * @param {string} value
+ * @param {'posix' | 'powershell' | 'cmd'} [style]
+ */
+export function quoteArgument(value, style = DEFAULT_QUOTE_STYLE) {
+    switch (style) {
+        case 'powershell': {
+            return /^[\w\-./=:+%]+$/.test(value) ? value : `'${value.replace(/'/g, "''")}'`;
+        }
+        case 'cmd': {
+            return /^[\w\-./=:@,+\\]+$/.test(value) ? value : `"${value.replace(/"/g, '""')}"`;
+        }
+        default: {
+            return /^[\w\-./=:@,+%]+$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+        }
+    }
+}
+
+/**
+ * `quote` makes the value one literal argument for the shell a `cross-shell`
+ * command runs in (POSIX single quotes, PowerShell single quotes on Windows),
+ * so `$VAR`, backticks and `$(...)` inside it are not expanded.
+ *
+ * @type {Record<string, (value: unknown) => string>}
+ */
+const PLACEHOLDER_FILTERS = {
+    posix: (value) => String(value).replace(/\\/g, '/'),
+    quote: (value) => quoteArgument(String(value)),
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    json: (value) => JSON.stringify(value),
+};
+
+/**
+ * Splits an expression on a separator that is not inside quotes.
+ *
+ * @param {string} expression
+ * @param {string} separator
+ */
+function splitOutsideQuotes(expression, separator) {
+    /** @type {string[]} */
+    const parts = [];
+    let current = '';
+    /** @type {string | null} */
+    let quote = null;
+
+    for (let i = 0; i < expression.length; i++) {
+        const character = expression[i];
+
+        if (quote) {
+            current += character;
+            if (character === '\\' && i + 1 < expression.length) {
+                current += expression[++i];
+            } else if (character === quote) {
+                quote = null;
+            }
+
+            continue;
+        }
+
+        if (character === '"' || character === "'") {
+            quote = character;
+            current += character;
+            continue;
+        }
+
+        if (expression.startsWith(separator, i)) {
+            parts.push(current.trim());
+            current = '';
+            i += separator.length - 1;
+            continue;
+        }
+
+        current += character;
+    }
+
+    parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * @param {string} operand
+ * @returns {PlaceholderOperand}
+ */
+function parseOperand(operand) {
+    const quoted = /^(["'])(.*)\1$/s.exec(operand);
+    if (quoted) {
+        return { literal: quoted[2].replace(/\\(.)/g, '$1') };
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(operand)) {
+        return { literal: operand };
+    }
+
+    return { key: operand };
+}
+
+/**
+ * Parses `key ?? other.key ?? "fallback" | filter | filter`.
+ *
+ * @param {string} expression
+ * @returns {PlaceholderExpression}
+ */
+export function parsePlaceholder(expression) {
+    const [valuePart, ...filters] = splitOutsideQuotes(expression, '|');
+
+    for (const filter of filters) {
+        if (!Object.prototype.hasOwnProperty.call(PLACEHOLDER_FILTERS, filter)) {
+            throw new Error(`Unknown placeholder filter "${filter}" in {{${expression.trim()}}}. Supported filters are ${Object.keys(PLACEHOLDER_FILTERS).join(', ')}.`);
+        }
+    }
+
+    return {
+        operands: splitOutsideQuotes(valuePart, '??').map((operand) => parseOperand(operand)),
+        filters,
+    };
+}
+
+/**
+ * Starts the date and git built-ins of one run: the date is taken now and git
+ * values are read once, in the site root, the first time a step asks for them.
+ *
+ * @param {string} siteRoot
+ * @returns {BuiltinState}
+ */
+export function createBuiltinState(siteRoot) {
+    return { startedAt: new Date(), siteRoot, gitValues: new Map() };
+}
+
+/**
+ * Copies a variable map with a fresh {@link BuiltinState}, so a new run
+ * (including a `--watch` re-run) sees its own `{{date.*}}` and `{{git.*}}` values.
+ *
+ * @param {Record<string, unknown>} variables
+ * @param {string} siteRoot
+ * @returns {Record<string, unknown>}
+ */
+export function withBuiltinState(variables, siteRoot) {
+    return { ...variables, [BUILTIN_STATE]: createBuiltinState(siteRoot) };
+}
+
+/**
+ * @param {BuiltinState} state
+ * @param {string[]} args
+ */
+function readGitValue(state, ...args) {
+    const cacheKey = args.join(' ');
+    if (state.gitValues.has(cacheKey)) {
+        return state.gitValues.get(cacheKey);
+    }
+
+    let value;
+    try {
+        const output = new Deno.Command('git', { args, cwd: state.siteRoot, stdout: 'piped', stderr: 'null', stdin: 'null' }).outputSync();
+        value = output.success ? new TextDecoder().decode(output.stdout).trim() : undefined;
+    } catch {
+        // git is not installed; the placeholder is treated as undefined.
+        value = undefined;
+    }
+
+    state.gitValues.set(cacheKey, value);
+    return value;
+}
+
+/**
+ * Resolves the placeholders that do not come from vars.yaml:
+ * `env.NAME`, `os`, `arch`, `date.iso`, `date.unix`, `git.sha`, `git.shortSha` and `git.branch`.
+ * Dates and git values come from the run's {@link BuiltinState}, so every step
+ * of a run sees the same value.
+ *
+ * @param {string} key
+ * @param {BuiltinState} state
+ * @returns {string | undefined}
+ */
+export function resolveBuiltinPlaceholder(key, state) {
+    if (key.startsWith('env.')) {
+        return Deno.env.get(key.slice('env.'.length));
+    }
+
+    switch (key) {
+        case 'os': {
+            return Deno.build.os;
+        }
+        case 'arch': {
+            return Deno.build.arch;
+        }
+        case 'date.iso': {
+            return state.startedAt.toISOString();
+        }
+        case 'date.unix': {
+            return String(Math.floor(state.startedAt.getTime() / 1000));
+        }
+        case 'git.sha': {
+            return readGitValue(state, 'rev-parse', 'HEAD');
+        }
+        case 'git.shortSha': {
+            return readGitValue(state, 'rev-parse', '--short', 'HEAD');
+        }
+        case 'git.branch': {
+            return readGitValue(state, 'rev-parse', '--abbrev-ref', 'HEAD');
+        }
+        default: {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Evaluates a placeholder expression: the first operand that resolves wins,
+ * then filters apply left to right. Objects and lists only substitute through `| json`.
+ *
+ * @param {string} expression
+ * @param {(key: string) => unknown} lookup
+ * @returns {PlaceholderResult}
+ */
+export function evaluatePlaceholder(expression, lookup) {
+    const { operands, filters } = parsePlaceholder(expression);
+
+    /** @type {unknown} */
+    let value;
+    for (const operand of operands) {
+        value = 'literal' in operand ? operand.literal : lookup(operand.key);
+        if (value !== undefined && value !== null) {
+            break;
+        }
+    }
+
+    if (value === undefined || value === null) {
+        return { resolved: false, reason: 'undefined' };
+    }
+
+    if ((isPlainObject(value) || Array.isArray(value)) && filters[0] !== 'json') {
+        return { resolved: false, reason: 'non-primitive' };
+    }
+
+    /** @type {unknown} */
+    let result = value;
+    for (const filter of filters) {
+        result = PLACEHOLDER_FILTERS[filter](result);
+    }
+
+    return { resolved: true, value: String(result) };
+}
+
+/**
+ * Rebuilds the nested object behind a flattened prefix, e.g. `paths` from
+ * `paths.src` / `paths.dist`, so `{{paths | json}}` works on flattened variables.
+ *
+ * @param {Record<string, unknown>} variables
+ * @param {string} prefix
+ * @returns {Record<string, unknown> | undefined}
+ */
+export function collectVariableScope(variables, prefix) {
+    /** @type {Record<string, unknown> | undefined} */
+    let scope;
+
+    for (const [key, value] of Object.entries(variables)) {
+        if (!key.startsWith(`${prefix}.`)) {
+            continue;
+        }
+
+        scope ??= {};
+        const parts = key.slice(prefix.length + 1).split('.');
+        /** @type {Record<string, unknown>} */
+        let current = scope;
+
+        for (const part of parts.slice(0, -1)) {
+            if (!isPlainObject(current[part])) {
+                current[part] = {};
+            }
+
+            current = /** @type {Record<string, unknown>} */ (current[part]);
+        }
+
+        current[parts[parts.length - 1]] = value;
+    }
+
+    return scope;
+}
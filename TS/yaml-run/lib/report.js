@@ -0,0 +1,246 @@
+import path from 'node:path';
+
+import { buildExecutionDiagram, renderDiagram } from './diagram.js';
+
+const REPORT_VERSION = 1;
+const REPORT_EXAMPLE_PATHS = { json: 'report.json', junit: 'junit.xml', mermaid: 'run.mmd', dot: 'run.dot' };
+// Terminal escape sequences such as colours (`ESC[31m`), built from a string so the pattern holds no control character.
+const ANSI_SEQUENCE_PATTERN = new RegExp(`${String.fromCharCode(0x1b)}\\[[0-?]*[ -/]*[@-~]`, 'g');
+
+/**
+ * @typedef {{
+ *     format: 'json' | 'junit' | 'mermaid' | 'dot',
+ *     path: string,
+ * }} ReportTarget
+ *
+ * @typedef {import('./stats.js').StatRecord} StatRecord
+ */
+
+/**
+ * Parses a `--report` value such as `json=reports/run.json`, `junit=junit.xml`
+ * or `mermaid=run.mmd`.
+ *
+ * @param {string} value
+ * @returns {ReportTarget}
+ */
+export function parseReportTarget(value) {
+    const separatorIndex = value.indexOf('=');
+    const format = separatorIndex === -1 ? value : value.slice(0, separatorIndex);
+    const targetPath = separatorIndex === -1 ? '' : value.slice(separatorIndex + 1).trim();
+
+    if (!Object.prototype.hasOwnProperty.call(REPORT_EXAMPLE_PATHS, format)) {
+        throw new Error(`Unknown report format "${format}"; expected json=<path>, junit=<path>, mermaid=<path> or dot=<path>.`);
+    }
+
+    if (!targetPath) {
+        throw new Error(`The ${format} report needs a path, e.g. --report ${format}=${REPORT_EXAMPLE_PATHS[format]}.`);
+    }
+
+    return { format: /** @type {ReportTarget['format']} */ (format), path: targetPath };
+}
+
+/**
+ * Whether `character` (one code point) is allowed in an XML 1.0 document.
+ *
+ * @param {string} character
+ */
+function isXmlCharacter(character) {
+    const codePoint = /** @type {number} */ (character.codePointAt(0));
+
+    return codePoint === 0x09 || codePoint === 0x0a || codePoint === 0x0d ||
+        (codePoint >= 0x20 && codePoint <= 0xd7ff) ||
+        (codePoint >= 0xe000 && codePoint <= 0xfffd) ||
+        codePoint >= 0x10000;
+}
+
+/**
+ * Returns the captured stderr without terminal escape sequences, which are
+ * noise outside a terminal.
+ *
+ * @param {StatRecord} stat
+ */
+function getStderrTail(stat) {
+    return stat.stderrTail.replace(ANSI_SEQUENCE_PATTERN, '');
+}
+
+/**
+ * @param {StatRecord[]} stats
+ * @param {number} totalTime
+ */
+export function buildJsonReport(stats, totalTime) {
+    return {
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        totalTimeMs: totalTime,
+        nodes: stats.map((stat) => ({
+            id: stat.id,
+            parentId: stat.parentId,
+            type: stat.type,
+            name: stat.name,
+            status: stat.status,
+            durationMs: stat.duration,
+            exitCode: stat.exitCode,
+            stderrTail: getStderrTail(stat),
+        })),
+    };
+}
+
+/**
+ * @param {string} value
+ */
+function escapeXml(value) {
+    // XML 1.0 cannot carry most control characters, lone surrogates or U+FFFE/U+FFFF, all of which can show up in captured stderr.
+    const printable = Array.from(value).filter(isXmlCharacter).join('');
+
+    return printable
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number} duration
+ */
+function toSeconds(duration) {
+    return (duration / 1000).toFixed(3);
+}
+
+/**
+ * Renders the run as JUnit XML: one test suite per root task and one test case
+ * per executed step, classed by the chain of tasks that led to it
+ * (e.g. `build.assets`), so CI can point at the nested step that failed.
+ *
+ * @param {StatRecord[]} stats
+ * @param {number} totalTime
+ */
+export function buildJunitReport(stats, totalTime) {
+    /** @type {Map<number | null, StatRecord[]>} */
+    const childrenByParentId = new Map();
+    for (const stat of stats) {
+        const siblings = childrenByParentId.get(stat.parentId) ?? [];
+        siblings.push(stat);
+        childrenByParentId.set(stat.parentId, siblings);
+    }
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    /** @type {string[]} */
+    const suiteLines = [];
+    let totalTests = 0;
+    let totalFailures = 0;
+
+    for (const rootStat of childrenByParentId.get(null) ?? []) {
+        /** @type {string[]} */
+        const caseLines = [];
+        let tests = 0;
+        let failures = 0;
+        let skipped = 0;
+
+        /**
+         * @param {StatRecord} stat
+         * @param {string[]} taskPath
+         */
+        const visit = (stat, taskPath) => {
+            const children = childrenByParentId.get(stat.id) ?? [];
+
+            if (stat.type === 'TASK' && children.length > 0) {
+                for (const child of children) {
+                    visit(child, [...taskPath, stat.name]);
+                }
+
+                return;
+            }
+
+            tests++;
+            const className = escapeXml(taskPath.join('.') || stat.name);
+            const opening = `        <testcase classname="${className}" name="${escapeXml(stat.name)}" time="${toSeconds(stat.duration)}">`;
+            const stderrTail = getStderrTail(stat);
+            const stderr = stderrTail ? `            <system-err>${escapeXml(stderrTail)}</system-err>` : null;
+            const exitCode = stat.exitCode === null ? '' : ` (exit code ${stat.exitCode})`;
+
+            switch (stat.status) {
+                case 'FAIL':
+                case 'TIMEOUT':
+                case 'INTERRUPTED': {
+                    failures++;
+                    caseLines.push(
+                        opening,
+                        `            <failure message="${escapeXml(`${stat.status}${exitCode}`)}" type="${stat.status}">${escapeXml(stderrTail)}</failure>`,
+                        '        </testcase>'
+                    );
+                    break;
+                }
+                case 'CACHED':
+                case 'CANCELLED':
+                case 'PLANNED':
+                case 'SKIPPED':
+                case 'RUNNING': {
+                    skipped++;
+                    caseLines.push(opening, `            <skipped message="${stat.status}"/>`, '        </testcase>');
+                    break;
+                }
+                default: {
+                    // PASS, plus RETRIED attempts and ALLOWED_FAIL steps that did not fail the run.
+                    const notes = stat.status === 'PASS' ? [] : [`            <system-out>${escapeXml(`${stat.status}${exitCode}`)}</system-out>`];
+                    caseLines.push(opening, ...notes, ...(stderr ? [stderr] : []), '        </testcase>');
+                }
+            }
+        };
+
+        visit(rootStat, []);
+
+        totalTests += tests;
+        totalFailures += failures;
+        suiteLines.push(
+            `    <testsuite name="${escapeXml(rootStat.name)}" tests="${tests}" failures="${failures}" skipped="${skipped}" time="${toSeconds(rootStat.duration)}">`,
+            ...caseLines,
+            '    </testsuite>'
+        );
+    }
+
+    lines.push(`<testsuites name="yaml-run" tests="${totalTests}" failures="${totalFailures}" time="${toSeconds(totalTime)}">`, ...suiteLines, '</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {ReportTarget['format']} format
+ * @param {StatRecord[]} stats
+ * @param {number} totalTime
+ */
+function buildReport(format, stats, totalTime) {
+    switch (format) {
+        case 'json': {
+            return `${JSON.stringify(buildJsonReport(stats, totalTime), null, 4)}\n`;
+        }
+        case 'junit': {
+            return buildJunitReport(stats, totalTime);
+        }
+        default: {
+            // Mermaid and DOT draw the executed tree with each node's status and duration.
+            return renderDiagram(buildExecutionDiagram(stats), format);
+        }
+    }
+}
+
+/**
+ * Writes every requested report for the nodes recorded so far.
+ * Paths resolve from the directory yaml-run was started in.
+ *
+ * @param {ReportTarget[]} targets
+ * @param {StatRecord[]} stats
+ * @param {number} totalTime
+ */
+export async function writeReports(targets, stats, totalTime) {
+    for (const target of targets) {
+        const reportPath = path.resolve(target.path);
+        const contents = buildReport(target.format, stats, totalTime);
+
+        try {
+            await Deno.mkdir(path.dirname(reportPath), { recursive: true });
+            await Deno.writeTextFile(reportPath, contents);
+            console.log(`\x1b[36m[Report] Wrote ${target.format} report to ${reportPath}\x1b[0m`);
+        } catch (error) {
+            console.warn(`[yaml-run] Warning: Could not write ${target.format} report to ${reportPath}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+}
@@ -16,8 +16,12 @@ const IGNORED_DIRECTORIES = new Set([
     'node_modules',
     'www',
     'cap_sync',
+    '.yaml-run',
 ]);
 
+const TOOL_CATALOG_CACHE_VERSION = 1;
+const MANIFEST_FILE_NAMES = ['package.json', 'deno.json', 'deno.jsonc'];
+
 /**
  * @typedef {{
  *     kind: 'local-package' | 'npm-package' | 'site-bin',
@@ -29,6 +33,14 @@ const IGNORED_DIRECTORIES = new Set([
  * }} ToolCandidate
  */
 
+/**
+ * @typedef {ToolCandidate & {
+ *     names: string[],
+ *     ambiguousNames: Array<{ name: string, message: string }>,
+ *     shadowedBy: Array<{ name: string, label: string }>,
+ * }} ToolCatalogEntry
+ */
+
 /**
  * @typedef {{
  *     name: string | null,
@@ -68,6 +80,15 @@ const EXPLICIT_COMMAND_PREFIXES = new Set([
     'fs',
 ]);
 
+/**
+ * Whether `name:` would be read as a command prefix such as `path:` or `fs:`.
+ *
+ * @param {string} name
+ */
+export function isExplicitCommandPrefix(name) {
+    return EXPLICIT_COMMAND_PREFIXES.has(name.toLowerCase());
+}
+
 async function pathExists(filePath) {
     try {
         await Deno.stat(filePath);
@@ -374,8 +395,9 @@ function addToolCandidate(catalog, candidate) {
 
 /**
  * @param {string} repoRoot
+ * @param {Set<string>} watchedPaths Receives every directory scanned and its manifest paths.
  */
-async function discoverLocalPackageDirectories(repoRoot) {
+async function discoverLocalPackageDirectories(repoRoot, watchedPaths) {
     /** @type {Map<string, string[]>} */
     const packageDirectories = new Map();
     /** @type {string[]} */
@@ -399,6 +421,8 @@ async function discoverLocalPackageDirectories(repoRoot) {
                 continue;
             }
 
+            watchedPaths.add(currentDir);
+            MANIFEST_FILE_NAMES.forEach((fileName) => watchedPaths.add(path.join(currentDir, fileName)));
             const packageJsonPath = path.join(currentDir, 'package.json');
             let packageName = null;
 
@@ -510,8 +534,9 @@ function collectPackageNamesFromDenoManifest(denoManifest) {
 
 /**
  * @param {string} packageName
+ * @param {Set<string>} watchedPaths Receives the package.json that was read.
  */
-async function loadPackageMetadata(packageName) {
+async function loadPackageMetadata(packageName, watchedPaths) {
     try {
         const resolvedModulePath = fileURLToPath(await import.meta.resolve(`npm:${packageName}`));
         let currentDirectory = path.dirname(resolvedModulePath);
@@ -520,6 +545,7 @@ async function loadPackageMetadata(packageName) {
             const packageJsonPath = path.join(currentDirectory, 'package.json');
 
             if (await pathExists(packageJsonPath)) {
+                watchedPaths.add(packageJsonPath);
                 return readJsonFile(packageJsonPath);
             }
 
@@ -632,11 +658,13 @@ async function indexLocalPackageCandidates(localPackageDirectories, toolCatalog)
 }
 
 /**
- * Builds the catalog of managed commands from the site manifests.
+ * Scans the site manifests and the repository's tool packages.
  *
  * @param {string} siteRoot
+ * @param {string} repositoryRoot
+ * @param {Set<string>} watchedPaths Receives every directory and manifest the catalog depends on.
  */
-export async function buildToolCatalog(siteRoot) {
+async function scanToolCatalog(siteRoot, repositoryRoot, watchedPaths) {
     const configFiles = createConfigFiles(siteRoot);
     const sitePackageManifest = await readFirstManifest([
         configFiles.packageJson,
@@ -646,8 +674,7 @@ export async function buildToolCatalog(siteRoot) {
         configFiles.denoJson,
         configFiles.denoJsonc,
     ]);
-    const repositoryRoot = await findRepositoryRoot(siteRoot);
-    const localPackageDirectories = await discoverLocalPackageDirectories(repositoryRoot);
+    const localPackageDirectories = await discoverLocalPackageDirectories(repositoryRoot, watchedPaths);
     /** @type {Set<string>} */
     const packageNames = new Set();
     /** @type {Map<string, ToolCandidate[]>} */
@@ -718,7 +745,7 @@ export async function buildToolCatalog(siteRoot) {
             }
         }
 
-        const packageMetadata = await loadPackageMetadata(packageName);
+        const packageMetadata = await loadPackageMetadata(packageName, watchedPaths);
         if (!isPlainObject(packageMetadata)) {
             continue;
         }
@@ -745,6 +772,137 @@ export async function buildToolCatalog(siteRoot) {
     return toolCatalog;
 }
 
+/**
+ * @param {string} filePath
+ * @returns {Promise<number | null>}
+ */
+async function getModifiedTime(filePath) {
+    try {
+        return (await Deno.stat(filePath)).mtime?.getTime() ?? 0;
+    } catch (error) {
+        if (error instanceof Deno.errors.NotFound) {
+            return null;
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * @param {string[]} filePaths
+ * @returns {Promise<Record<string, number | null>>}
+ */
+async function getModifiedTimes(filePaths) {
+    const modifiedTimes = await Promise.all(filePaths.map(getModifiedTime));
+    return Object.fromEntries(filePaths.map((filePath, index) => [filePath, modifiedTimes[index]]));
+}
+
+/**
+ * Returns the cached catalog if nothing it was built from has changed since.
+ *
+ * @param {string} cachePath
+ * @param {string} repositoryRoot
+ * @returns {Promise<Map<string, ToolCandidate[]> | null>}
+ */
+async function readToolCatalogCache(cachePath, repositoryRoot) {
+    let rawCache;
+    try {
+        rawCache = JSON.parse(await Deno.readTextFile(cachePath));
+    } catch (error) {
+        if (!(error instanceof Deno.errors.NotFound)) {
+            console.warn(`[yaml-run] Warning: Ignoring unreadable tool catalog cache at ${cachePath}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+
+        return null;
+    }
+
+    if (
+        !isPlainObject(rawCache) ||
+        rawCache.version !== TOOL_CATALOG_CACHE_VERSION ||
+        rawCache.repositoryRoot !== repositoryRoot ||
+        !isPlainObject(rawCache.paths) ||
+        !Array.isArray(rawCache.tools)
+    ) {
+        return null;
+    }
+
+    const recordedTimes = /** @type {Record<string, number | null>} */ (rawCache.paths);
+    const currentTimes = await getModifiedTimes(Object.keys(recordedTimes));
+    if (Object.entries(recordedTimes).some(([filePath, modifiedTime]) => currentTimes[filePath] !== modifiedTime)) {
+        return null;
+    }
+
+    /** @type {Map<string, ToolCandidate[]>} */
+    const toolCatalog = new Map();
+    for (const candidate of /** @type {ToolCandidate[]} */ (rawCache.tools)) {
+        addToolCandidate(toolCatalog, candidate);
+    }
+
+    return toolCatalog;
+}
+
+/**
+ * Builds the catalog of managed commands from the site manifests.
+ *
+ * Walking the repository and resolving npm packages is slow in large
+ * monorepos, so the catalog is cached in `.yaml-run/tool-catalog.json` with
+ * the modification times of everything it was built from: each scanned
+ * directory (a new package changes its parent's time), each package.json,
+ * deno.json and deno.jsonc, and the site's lockfiles and node_modules. Any
+ * change rebuilds it; `cache: false` (`--no-catalog-cache`) skips the file and
+ * `refresh: true` (`yaml-run tools --refresh`) rebuilds it unconditionally.
+ *
+ * @param {string} siteRoot
+ * @param {{ cache?: boolean, refresh?: boolean }} [options]
+ * @returns {Promise<Map<string, ToolCandidate[]>>}
+ */
+export async function buildToolCatalog(siteRoot, options = {}) {
+    const configFiles = createConfigFiles(siteRoot);
+    const repositoryRoot = await findRepositoryRoot(siteRoot);
+    const useCache = options.cache !== false;
+
+    if (useCache && options.refresh !== true) {
+        const cachedCatalog = await readToolCatalogCache(configFiles.toolCatalogCache, repositoryRoot);
+        if (cachedCatalog) {
+            return cachedCatalog;
+        }
+    }
+
+    /** @type {Set<string>} */
+    const watchedPaths = new Set();
+    const toolCatalog = await scanToolCatalog(siteRoot, repositoryRoot, watchedPaths);
+    if (!useCache) {
+        return toolCatalog;
+    }
+
+    for (const sitePath of [
+        configFiles.packageJson,
+        path.join(siteRoot, '.package.json'),
+        configFiles.denoJson,
+        configFiles.denoJsonc,
+        path.join(siteRoot, 'deno.lock'),
+        path.join(siteRoot, 'package-lock.json'),
+        path.join(siteRoot, 'node_modules'),
+    ]) {
+        watchedPaths.add(sitePath);
+    }
+
+    try {
+        await Deno.mkdir(configFiles.stateDir, { recursive: true });
+        const cache = {
+            version: TOOL_CATALOG_CACHE_VERSION,
+            repositoryRoot,
+            paths: await getModifiedTimes(Array.from(watchedPaths).sort()),
+            tools: Array.from(toolCatalog.values()).flat(),
+        };
+        await Deno.writeTextFile(configFiles.toolCatalogCache, `${JSON.stringify(cache, null, 4)}\n`);
+    } catch (error) {
+        console.warn(`[yaml-run] Warning: Unable to write the tool catalog cache at ${configFiles.toolCatalogCache}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    return toolCatalog;
+}
+
 function tokenizeCommand(commandText) {
     /** @type {string[]} */
     const tokens = [];
@@ -756,6 +914,17 @@ function tokenizeCommand(commandText) {
     for (let i = 0; i < commandText.length; i++) {
         const character = commandText[i];
 
+        // As in POSIX shells, a backslash inside single quotes is literal.
+        if (inSingleQuotes) {
+            if (character === "'") {
+                inSingleQuotes = false;
+            } else {
+                currentToken += character;
+            }
+
+            continue;
+        }
+
         if (escaped) {
             currentToken += character;
             escaped = false;
@@ -767,16 +936,6 @@ function tokenizeCommand(commandText) {
             continue;
         }
 
-        if (inSingleQuotes) {
-            if (character === "'") {
-                inSingleQuotes = false;
-            } else {
-                currentToken += character;
-            }
-
-            continue;
-        }
-
         if (inDoubleQuotes) {
             if (character === '"') {
                 inDoubleQuotes = false;
@@ -880,6 +1039,55 @@ function resolveToolTarget(targetName, candidates, allowMissing) {
     throw new Error(`Workspace tool "${targetName}" was not found.`);
 }
 
+/**
+ * Lists every tool in the catalog with the names that reach it. A tool can be
+ * called by its bin name, package name or unscoped package name; for each of
+ * those this records whether `workspace:` and bare commands resolve the name
+ * to this tool, to a higher-priority tool (`shadowedBy`), or reject it as
+ * ambiguous.
+ *
+ * @param {Map<string, ToolCandidate[]>} toolCatalog
+ * @returns {ToolCatalogEntry[]}
+ */
+export function inspectToolCatalog(toolCatalog) {
+    const candidates = Array.from(toolCatalog.values()).flat();
+    /** @type {Map<string, ToolCandidate | Error>} */
+    const resolutions = new Map();
+
+    const resolveName = (/** @type {string} */ name) => {
+        if (!resolutions.has(name)) {
+            try {
+                resolutions.set(name, /** @type {ToolCandidate} */ (resolveImplicitToolTarget(name, candidates)));
+            } catch (error) {
+                resolutions.set(name, error instanceof Error ? error : new Error(String(error)));
+            }
+        }
+
+        return /** @type {ToolCandidate | Error} */ (resolutions.get(name));
+    };
+
+    return candidates
+        .map((candidate) => {
+            /** @type {ToolCatalogEntry} */
+            const entry = { ...candidate, names: [], ambiguousNames: [], shadowedBy: [] };
+            const names = new Set([candidate.binName, candidate.packageName, getUnscopedPackageName(candidate.packageName)]);
+
+            for (const name of names) {
+                const resolution = resolveName(name);
+                if (resolution instanceof Error) {
+                    entry.ambiguousNames.push({ name, message: resolution.message });
+                } else if (resolution === candidate) {
+                    entry.names.push(name);
+                } else {
+                    entry.shadowedBy.push({ name, label: resolution.label });
+                }
+            }
+
+            return entry;
+        })
+        .sort((left, right) => left.label.localeCompare(right.label));
+}
+
 /**
  * @param {string} targetName
  * @param {ToolCandidate[]} candidates
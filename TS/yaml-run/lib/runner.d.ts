@@ -0,0 +1,98 @@
+// Type declarations for the `@yggdrasil-au/yaml-run/runner` entry point (runner.js).
+// Keep in sync with the JSDoc typedefs in runner.js, stats.js, help.js,
+// resolution.js and validation.js.
+
+import type { EventEmitter } from 'node:events';
+
+export type StatStatus =
+    | 'RUNNING'
+    | 'PASS'
+    | 'FAIL'
+    | 'INTERRUPTED'
+    | 'CACHED'
+    | 'CANCELLED'
+    | 'RETRIED'
+    | 'TIMEOUT'
+    | 'ALLOWED_FAIL'
+    | 'PLANNED'
+    | 'SKIPPED';
+
+export interface StatRecord {
+    id: number;
+    sequence: number;
+    type: 'TASK' | 'CMD' | 'PATH' | 'TOOL' | 'FS';
+    name: string;
+    parentId: number | null;
+    depth: number;
+    status: StatStatus;
+    duration: number;
+    exitCode: number | null;
+    stderrTail: string;
+}
+
+export interface TaskListEntry {
+    name: string;
+    shape: 'string' | 'list' | 'series' | 'parallel' | 'cmd' | 'script' | 'depends' | 'unknown';
+    kind: string;
+    description: string;
+}
+
+export interface ToolCatalogEntry {
+    packageName: string;
+    binName: string;
+    executeSpec: string;
+    sourcePath: string;
+    label: string;
+    names: string[];
+    ambiguousNames: Array<{ name: string; message: string }>;
+    shadowedBy: Array<{ name: string; label: string }>;
+}
+
+export interface ValidationWarning {
+    level: 'warning' | 'error';
+    scriptName: string;
+    stepPath: string;
+    message: string;
+}
+
+export interface RunnerOptions {
+    siteRoot?: string;
+    scripts?: Record<string, unknown>;
+    vars?: Record<string, unknown>;
+    environment?: string | null;
+    catalogCache?: boolean;
+}
+
+export interface RunOptions {
+    args?: string[];
+    dryRun?: boolean;
+    force?: boolean;
+    strict?: boolean;
+    logDir?: string | null;
+    captureStderr?: boolean;
+    signal?: AbortSignal;
+}
+
+export interface RunResult {
+    runId: number;
+    status: StatStatus;
+    error: unknown;
+    stats: StatRecord[];
+    duration: number;
+}
+
+export interface Runner {
+    siteRoot: string;
+    /** Emits `step:start`, `step:finish` (`{ runId, stat }`) and `step:output` (`{ runId, stat, stream, text }`). */
+    events: EventEmitter;
+    run: (taskName: string, options?: RunOptions) => Promise<RunResult>;
+    list: () => TaskListEntry[];
+    tools: () => ToolCatalogEntry[];
+    validate: (options?: { strict?: boolean }) => Promise<ValidationWarning[]>;
+}
+
+/**
+ * Creates a runner for one site. Every `run()` has its own stats tree and
+ * processes, so runs can overlap and be stopped independently.
+ */
+export function createRunner(options?: RunnerOptions): Promise<Runner>;
@@ -0,0 +1,180 @@
+// @ts-self-types="./runner.d.ts"
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+
+import { openTaskCache } from './cache.js';
+import { assertVariablesResolved, createArgumentVariables, loadVariables, referencesArgumentVariables, resolveVariables } from './config.js';
+import { findSiteRoot } from './constants.js';
+import { createExecutionSession, requestShutdown, runTask, waitForShutdown } from './executor.js';
+import { listTasks } from './help.js';
+import { createBuiltinState } from './placeholders.js';
+import { buildToolCatalog, inspectToolCatalog } from './resolution.js';
+import { validateConfigSchemas } from './schema.js';
+import { loadScripts } from './scripts.js';
+import { scopeValidationToTask, validateScripts } from './validation.js';
+
+/**
+ * The library entry point (`@yggdrasil-au/yaml-run/runner`) for running tasks
+ * from other programs, such as dashboards and tests:
+ *
+ *     const runner = await createRunner({ siteRoot: './site' });
+ *     runner.events.on('step:finish', ({ stat }) => console.log(stat.name, stat.status));
+ *     const result = await runner.run('build', { args: ['--profile', 'production'] });
+ *
+ * Every `run()` has its own stats tree and processes, so runs can overlap and
+ * be stopped independently. Steps still print to the terminal as they do in
+ * the CLI.
+ */
+
+/**
+ * @typedef {{
+ *     siteRoot?: string,
+ *     scripts?: Record<string, unknown>,
+ *     vars?: Record<string, unknown>,
+ *     environment?: string | null,
+ *     catalogCache?: boolean,
+ * }} RunnerOptions
+ *
+ * @typedef {{
+ *     args?: string[],
+ *     dryRun?: boolean,
+ *     force?: boolean,
+ *     strict?: boolean,
+ *     logDir?: string | null,
+ *     captureStderr?: boolean,
+ *     signal?: AbortSignal,
+ * }} RunOptions
+ *
+ * @typedef {{
+ *     runId: number,
+ *     status: import('./stats.js').StatStatus,
+ *     error: unknown,
+ *     stats: import('./stats.js').StatRecord[],
+ *     duration: number,
+ * }} RunResult
+ *
+ * @typedef {{
+ *     siteRoot: string,
+ *     events: EventEmitter,
+ *     run: (taskName: string, options?: RunOptions) => Promise<RunResult>,
+ *     list: () => import('./help.js').TaskListEntry[],
+ *     tools: () => import('./resolution.js').ToolCatalogEntry[],
+ *     validate: (options?: { strict?: boolean }) => Promise<import('./validation.js').ValidationWarning[]>,
+ * }} Runner
+ */
+
+/**
+ * Creates a runner for one site.
+ *
+ * - `siteRoot`: the directory with scripts.yaml; found from the working directory when omitted.
+ * - `scripts`: tasks by name, used instead of scripts.yaml.
+ * - `vars`: variables shaped like the `vars:` section of vars.yaml, used instead of vars.yaml.
+ * - `environment`: the vars.yaml environment to apply, as with `--env`.
+ * - `catalogCache`: `false` rescans the tool catalog instead of reading its cache, as with `--no-catalog-cache`.
+ *
+ * `events` emits `step:start`, `step:finish` and `step:output` (see
+ * `createExecutionSession`); each payload carries the `runId` of its run.
+ *
+ * @param {RunnerOptions} [options]
+ * @returns {Promise<Runner>}
+ */
+export async function createRunner(options = {}) {
+    const siteRoot = options.siteRoot ? path.resolve(options.siteRoot) : await findSiteRoot(Deno.cwd());
+    const loaded = options.scripts
+        ? { scripts: options.scripts, collisions: [], documents: new Map() }
+        : await loadScripts(siteRoot);
+    const scripts = loaded.scripts;
+    const variables = options.vars
+        ? resolveVariables(structuredClone(options.vars), createBuiltinState(siteRoot))
+        : await loadVariables(siteRoot, { environment: options.environment ?? null });
+    assertVariablesResolved(variables);
+
+    const toolCatalog = await buildToolCatalog(siteRoot, { cache: options.catalogCache !== false });
+    const events = new EventEmitter();
+    let nextRunId = 1;
+
+    /**
+     * @param {boolean} strict
+     */
+    const createValidationContext = (strict) => ({
+        siteRoot,
+        scripts,
+        variables,
+        toolCatalog,
+        strictPlaceholders: strict,
+        collisions: loaded.collisions,
+    });
+
+    return {
+        siteRoot,
+        events,
+        list() {
+            return listTasks({ scripts, variables, toolCatalog });
+        },
+        tools() {
+            return inspectToolCatalog(toolCatalog);
+        },
+        async validate(validateOptions = {}) {
+            // Tasks passed in as `scripts` have no file to check against the JSON Schema.
+            const schemaWarnings = options.scripts ? [] : await validateConfigSchemas(siteRoot, loaded.documents);
+            return [...schemaWarnings, ...validateScripts(createValidationContext(validateOptions.strict === true))];
+        },
+        async run(taskName, runOptions = {}) {
+            if (!Object.prototype.hasOwnProperty.call(scripts, taskName)) {
+                throw new Error(`Task "${taskName}" not found in scripts.yaml`);
+            }
+
+            // Only problems in the tasks this run reaches stop it.
+            const validationContext = createValidationContext(runOptions.strict === true);
+            const errors = scopeValidationToTask(validateScripts(validationContext), taskName, validationContext)
+                .filter((warning) => warning.level === 'error');
+            if (errors.length > 0) {
+                const details = errors.map((warning) => `${warning.stepPath} - ${warning.message}`).join('\n');
+                throw new Error(`"${taskName}" has validation errors in the tasks it runs; nothing was run.\n${details}`);
+            }
+
+            const runId = nextRunId++;
+            const session = createExecutionSession({ events, runId });
+            const args = runOptions.args ?? [];
+            const start = Date.now();
+            /** @type {unknown} */
+            let error = null;
+
+            const onAbort = () => requestShutdown(session);
+            if (runOptions.signal?.aborted) {
+                onAbort();
+            }
+            runOptions.signal?.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                await runTask(taskName, {
+                    session,
+                    siteRoot,
+                    scripts,
+                    variables: { ...variables, ...createArgumentVariables(args) },
+                    toolCatalog,
+                    taskCache: await openTaskCache(siteRoot, { force: runOptions.force === true }),
+                    forwardArgs: referencesArgumentVariables(scripts[taskName]) ? [] : args,
+                    dryRun: runOptions.dryRun === true,
+                    captureStderr: runOptions.captureStderr === true,
+                    strictPlaceholders: runOptions.strict === true,
+                    logDir: runOptions.logDir ? path.resolve(runOptions.logDir) : null,
+                });
+            } catch (caught) {
+                error = caught;
+            } finally {
+                runOptions.signal?.removeEventListener('abort', onAbort);
+                await waitForShutdown(session);
+            }
+
+            const stats = session.stats.getExecutionStats();
+            return {
+                runId,
+                status: stats[0]?.status ?? (error ? 'FAIL' : 'PASS'),
+                error,
+                stats,
+                duration: Date.now() - start,
+            };
+        },
+    };
+}
@@ -0,0 +1,209 @@
+import path from 'node:path';
+import Ajv from 'npm:ajv@^8.17.1';
+import yaml from 'npm:js-yaml@^4.1.1';
+import { createConfigFiles } from './constants.js';
+import { pathExists } from './fs-actions.js';
+import { isExplicitCommandPrefix } from './resolution.js';
+import { isPlainObject } from './utils.js';
+import scriptsSchema from '../scripts.schema.json' with { type: 'json' };
+import varsSchema from '../vars.schema.json' with { type: 'json' };
+
+/**
+ * Checks scripts.yaml, its includes and vars.yaml against the published JSON
+ * Schemas, so task shapes yaml-run would reject at run time are reported up front.
+ */
+
+/**
+ * @typedef {import('ajv').ErrorObject} SchemaError
+ */
+
+/** @type {{ scripts: import('ajv').ValidateFunction, vars: import('ajv').ValidateFunction } | null} */
+let validators = null;
+
+function getValidators() {
+    if (!validators) {
+        // `verbose` keeps the failing schema and value on each error, which the summaries below need.
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+        validators = { scripts: ajv.compile(scriptsSchema), vars: ajv.compile(varsSchema) };
+    }
+
+    return validators;
+}
+
+/**
+ * Turns a JSON pointer such as `/scripts/build/parallel/0` into `scripts.build.parallel[0]`.
+ *
+ * @param {string} instancePath
+ */
+function formatInstancePath(instancePath) {
+    const segments = instancePath.split('/').slice(1).map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (segments.length === 0) {
+        return '(root)';
+    }
+
+    return segments.reduce((formatted, segment) => /^\d+$/.test(segment) ? `${formatted}[${segment}]` : formatted ? `${formatted}.${segment}` : segment, '');
+}
+
+/**
+ * @param {string[]} items
+ */
+function formatAlternatives(items) {
+    return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`;
+}
+
+/**
+ * Returns the keys of a `oneOf` whose branches each require a single key, such as
+ * `{ required: [cmd] }`, or an empty list.
+ *
+ * @param {SchemaError} error
+ * @returns {string[]}
+ */
+function getShapeKeys(error) {
+    const branches = Array.isArray(error.schema) ? error.schema : [];
+    const isShapeBranch = (/** @type {unknown} */ branch) => isPlainObject(branch) && Array.isArray(branch.required) && branch.required.length === 1;
+    return branches.length > 0 && branches.every(isShapeBranch) ? branches.flatMap((branch) => branch.required) : [];
+}
+
+/**
+ * Reduces Ajv's raw errors, which list every `oneOf` branch that did not
+ * match, to the messages that explain what is wrong.
+ *
+ * @param {SchemaError[]} errors
+ * @returns {Array<{ path: string, message: string }>}
+ */
+function summarizeSchemaErrors(errors) {
+    /** @type {Array<{ path: string, message: string }>} */
+    const messages = [];
+    // `oneOf: [{ required: [cmd] }, { required: [script] }, ...]` picks the key that gives an object its shape.
+    // Only objects have a shape; for other values the type errors explain the problem.
+    const shapeChoices = errors.filter((error) => error.keyword === 'oneOf' && getShapeKeys(error).length > 0 && isPlainObject(error.data));
+    const isShapeBranch = (/** @type {SchemaError} */ error) => shapeChoices.some((choice) =>
+        error.instancePath === choice.instancePath && error.schemaPath.startsWith(`${choice.schemaPath}/`)
+    );
+    // A value with problems further down, or other problems of its own, matched its type; the other branches' type errors are noise.
+    const hasSpecificError = (/** @type {string} */ instancePath) => errors.some((error) =>
+        error.instancePath.startsWith(`${instancePath}/`) ||
+        (error.instancePath === instancePath && error.keyword !== 'type' && (error.keyword !== 'oneOf' || shapeChoices.includes(error)))
+    );
+
+    /** @type {Map<string, Set<string>>} */
+    const expectedTypes = new Map();
+
+    for (const error of errors) {
+        const errorPath = formatInstancePath(error.instancePath);
+
+        if (error.keyword === 'oneOf') {
+            if (shapeChoices.includes(error)) {
+                const passing = error.params.passingSchemas;
+                const keys = getShapeKeys(error).map((key) => `\`${key}\``);
+                messages.push({
+                    path: errorPath,
+                    message: passing
+                        ? `Use only one of ${formatAlternatives(passing.map((/** @type {number} */ index) => keys[index]))}.`
+                        : `A task object needs one of ${formatAlternatives(keys)}.`,
+                });
+            }
+
+            continue;
+        }
+
+        if (isShapeBranch(error)) {
+            continue;
+        }
+
+        if (error.keyword === 'type') {
+            if (!hasSpecificError(error.instancePath)) {
+                const types = expectedTypes.get(errorPath) ?? new Set();
+                String(error.params.type).split(',').forEach((type) => types.add(type));
+                expectedTypes.set(errorPath, types);
+            }
+
+            continue;
+        }
+
+        if (error.keyword === 'additionalProperties') {
+            const key = error.params.additionalProperty;
+            messages.push({
+                path: errorPath,
+                message: isExplicitCommandPrefix(key)
+                    ? `Unknown key "${key}". Command prefixes belong inside the command: \`cmd: "${key}: ..."\`.`
+                    : `Unknown key "${key}".`,
+            });
+            continue;
+        }
+
+        if (error.keyword === 'enum') {
+            messages.push({ path: errorPath, message: `Must be ${formatAlternatives(error.params.allowedValues.map((/** @type {unknown} */ value) => `\`${value}\``))}.` });
+            continue;
+        }
+
+        if (error.keyword === 'pattern') {
+            const hint = typeof error.parentSchema?.description === 'string' ? ` ${error.parentSchema.description}` : '';
+            messages.push({ path: errorPath, message: `Invalid value "${error.data}".${hint}` });
+            continue;
+        }
+
+        messages.push({ path: errorPath, message: `${error.message?.replace(/^must/, 'Must') ?? 'Invalid value'}.` });
+    }
+
+    for (const [errorPath, types] of expectedTypes) {
+        const typeNames = [...types].map((type) => type === 'array' ? 'a list' : type === 'object' ? 'a map' : type === 'integer' ? 'an integer' : `a ${type}`);
+        messages.push({ path: errorPath, message: `Must be ${formatAlternatives(typeNames)}.` });
+    }
+
+    const seen = new Set();
+    return messages.filter(({ path: errorPath, message }) => {
+        const key = `${errorPath}\0${message}`;
+        if (seen.has(key)) {
+            return false;
+        }
+
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * @param {import('ajv').ValidateFunction} validate
+ * @param {unknown} document
+ * @param {string} fileLabel
+ * @returns {import('./validation.js').ValidationWarning[]}
+ */
+function validateDocument(validate, document, fileLabel) {
+    if (validate(document ?? {})) {
+        return [];
+    }
+
+    return summarizeSchemaErrors(validate.errors ?? []).map(({ path: stepPath, message }) => ({
+        level: 'error',
+        scriptName: fileLabel,
+        stepPath,
+        message,
+    }));
+}
+
+/**
+ * Validates every loaded scripts file and vars.yaml against the JSON Schemas.
+ * Problems are reported as errors against the file, e.g. `scripts.yaml :: scripts.dev - ...`.
+ *
+ * @param {string} siteRoot
+ * @param {Map<string, unknown>} scriptDocuments Parsed scripts files by path, from `loadScripts`.
+ * @returns {Promise<import('./validation.js').ValidationWarning[]>}
+ */
+export async function validateConfigSchemas(siteRoot, scriptDocuments) {
+    /** @type {import('./validation.js').ValidationWarning[]} */
+    const warnings = [];
+    const getFileLabel = (/** @type {string} */ filePath) => path.relative(siteRoot, filePath) || filePath;
+
+    for (const [filePath, document] of scriptDocuments) {
+        warnings.push(...validateDocument(getValidators().scripts, document, getFileLabel(filePath)));
+    }
+
+    const varsFile = createConfigFiles(siteRoot).vars;
+    if (await pathExists(varsFile)) {
+        const document = yaml.load(await Deno.readTextFile(varsFile));
+        warnings.push(...validateDocument(getValidators().vars, document, getFileLabel(varsFile)));
+    }
+
+    return warnings;
+}
@@ -0,0 +1,184 @@
+import path from 'node:path';
+import yaml from 'npm:js-yaml@^4.1.1';
+import { createConfigFiles, findRepositoryRoot } from './constants.js';
+import { getTaskDependencies } from './graph.js';
+import { isExplicitCommandPrefix } from './resolution.js';
+import { isPlainObject } from './utils.js';
+
+const NAMESPACE_PATTERN = /^[\w.-]+$/;
+const REPOSITORY_PREFIX = 'repo:';
+
+/**
+ * @typedef {{
+ *     name: string,
+ *     file: string,
+ *     previousFile: string,
+ * }} ScriptCollision
+ *
+ * @typedef {{
+ *     scripts: Record<string, unknown>,
+ *     sources: Map<string, string>,
+ *     collisions: ScriptCollision[],
+ *     documents: Map<string, unknown>,
+ * }} LoadedScripts
+ */
+
+/**
+ * Derives the default namespace of an included file:
+ * `scripts.common.yaml` -> `common`, `shared/scripts.yaml` -> `shared`.
+ *
+ * @param {string} filePath
+ */
+function getDefaultNamespace(filePath) {
+    const baseName = path.basename(filePath).replace(/\.ya?ml$/i, '').replace(/^scripts\./, '');
+    return baseName === 'scripts' ? path.basename(path.dirname(filePath)) : baseName;
+}
+
+/**
+ * @param {unknown} entry
+ * @param {string} filePath
+ * @param {string} siteRoot
+ * @returns {Promise<{ file: string, namespace: string }>}
+ */
+async function resolveIncludeEntry(entry, filePath, siteRoot) {
+    const includePath = isPlainObject(entry) ? entry.path : entry;
+    if (typeof includePath !== 'string' || includePath.trim().length === 0) {
+        throw new Error(`Invalid include in ${filePath}: expected a path or { path, namespace }.`);
+    }
+
+    // `repo:` paths start at the repository root that holds the shared Tools/ and Sites/ folders.
+    const file = includePath.startsWith(REPOSITORY_PREFIX)
+        ? path.resolve(await findRepositoryRoot(siteRoot), includePath.slice(REPOSITORY_PREFIX.length))
+        : path.resolve(path.dirname(filePath), includePath);
+    const namespace = isPlainObject(entry) && entry.namespace !== undefined ? entry.namespace : getDefaultNamespace(file);
+
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace) || isExplicitCommandPrefix(namespace)) {
+        throw new Error(`Invalid namespace "${String(namespace)}" for ${includePath} in ${filePath}; use letters, digits, ".", "_" or "-" and avoid command prefixes such as path or fs.`);
+    }
+
+    return { file, namespace };
+}
+
+/**
+ * Rewrites references to the included file's own tasks (`clean`) to their
+ * namespaced names (`common:clean`) in steps and `depends:` entries.
+ *
+ * @param {unknown} task
+ * @param {Set<string>} taskNames
+ * @param {string} namespace
+ * @returns {unknown}
+ */
+function namespaceTaskReferences(task, taskNames, namespace) {
+    if (typeof task === 'string') {
+        return taskNames.has(task.trim()) ? `${namespace}:${task.trim()}` : task;
+    }
+
+    if (Array.isArray(task)) {
+        return task.map((step) => namespaceTaskReferences(step, taskNames, namespace));
+    }
+
+    if (!isPlainObject(task)) {
+        return task;
+    }
+
+    const namespaced = { ...task };
+    for (const key of ['parallel', 'series', 'cmd', 'script', 'service', 'before', 'after', 'finally']) {
+        if (namespaced[key] !== undefined) {
+            namespaced[key] = namespaceTaskReferences(namespaced[key], taskNames, namespace);
+        }
+    }
+
+    if (namespaced.depends !== undefined) {
+        const dependencies = getTaskDependencies(namespaced.depends)
+            .map((dependency) => /** @type {string} */ (namespaceTaskReferences(dependency, taskNames, namespace)));
+        namespaced.depends = typeof namespaced.depends === 'string' ? dependencies[0] : dependencies;
+    }
+
+    return namespaced;
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} siteRoot
+ * @param {string[]} chain
+ * @returns {Promise<LoadedScripts>}
+ */
+async function loadScriptsFile(filePath, siteRoot, chain) {
+    if (chain.includes(filePath)) {
+        throw new Error(`Include cycle: ${[...chain, filePath].map((file) => path.relative(siteRoot, file) || file).join(' -> ')}.`);
+    }
+
+    let text;
+    try {
+        text = await Deno.readTextFile(filePath);
+    } catch (error) {
+        if (error instanceof Deno.errors.NotFound && chain.length > 0) {
+            throw new Error(`Included file not found: ${filePath} (included from ${chain[chain.length - 1]}).`);
+        }
+
+        throw error;
+    }
+
+    const rawConfig = yaml.load(text) || {};
+    const localScripts = isPlainObject(rawConfig.scripts) ? rawConfig.scripts : {};
+    const includes = rawConfig.include === undefined ? [] : Array.isArray(rawConfig.include) ? rawConfig.include : [rawConfig.include];
+
+    /** @type {Record<string, unknown>} */
+    const scripts = {};
+    /** @type {Map<string, string>} */
+    const sources = new Map();
+    /** @type {ScriptCollision[]} */
+    const collisions = [];
+    /** @type {Map<string, unknown>} */
+    const documents = new Map([[filePath, rawConfig]]);
+
+    for (const entry of includes) {
+        const { file, namespace } = await resolveIncludeEntry(entry, filePath, siteRoot);
+        const included = await loadScriptsFile(file, siteRoot, [...chain, filePath]);
+        const taskNames = new Set(Object.keys(included.scripts));
+        for (const [file, document] of included.documents) {
+            documents.set(file, document);
+        }
+        collisions.push(...included.collisions.map((collision) => ({ ...collision, name: `${namespace}:${collision.name}` })));
+
+        for (const [name, task] of Object.entries(included.scripts)) {
+            const namespacedName = `${namespace}:${name}`;
+            const previousFile = sources.get(namespacedName);
+            if (previousFile) {
+                collisions.push({ name: namespacedName, file: included.sources.get(name) ?? file, previousFile });
+            }
+
+            scripts[namespacedName] = namespaceTaskReferences(task, taskNames, namespace);
+            sources.set(namespacedName, included.sources.get(name) ?? file);
+        }
+    }
+
+    // Local definitions win, including over namespaced names such as `common:clean`.
+    for (const [name, task] of Object.entries(localScripts)) {
+        scripts[name] = task;
+        sources.set(name, filePath);
+    }
+
+    return {
+        scripts,
+        sources,
+        collisions: collisions.filter((collision) => !Object.prototype.hasOwnProperty.call(localScripts, collision.name)),
+        documents,
+    };
+}
+
+/**
+ * Loads scripts.yaml together with the task libraries listed under `include:`.
+ *
+ * Included tasks are namespaced (`common:clean`) and references between them are
+ * rewritten to match, so a local `common:clean` overrides the included task
+ * everywhere, including inside the library. Two includes that define the same
+ * namespaced task are returned as collisions for the validator to report.
+ * The parsed documents of every loaded file are kept for schema validation.
+ *
+ * @param {string} siteRoot
+ * @returns {Promise<LoadedScripts>}
+ */
+export function loadScripts(siteRoot) {
+    return loadScriptsFile(createConfigFiles(siteRoot).scripts, siteRoot, []);
+}
@@ -0,0 +1,180 @@
+/**
+ * Readiness checks for `service:` steps.
+ */
+
+export const DEFAULT_READY_TIMEOUT_MS = 60_000;
+const POLL_INTERVAL_MS = 250;
+const READY_USAGE = 'Use `port:<port>`, `port:<host>:<port>`, an http(s):// URL, or `log:<regex>`.';
+
+/**
+ * @typedef {{ kind: 'port', hostname: string, port: number }
+ *     | { kind: 'http', url: string }
+ *     | { kind: 'log', pattern: RegExp }} ReadyCheck
+ */
+
+/**
+ * Parses a `ready:` value: `port:8080`, `port:127.0.0.1:8080`,
+ * `http://localhost:8080/health` (expects HTTP 200) or `log:Listening on \d+`.
+ *
+ * @param {string} value
+ * @returns {ReadyCheck}
+ */
+export function parseReadyCheck(value) {
+    const trimmed = value.trim();
+
+    if (/^https?:\/\//i.test(trimmed)) {
+        try {
+            return { kind: 'http', url: new URL(trimmed).href };
+        } catch {
+            throw new Error(`Invalid ready URL "${trimmed}".`);
+        }
+    }
+
+    if (trimmed.startsWith('log:')) {
+        const source = trimmed.slice('log:'.length).trim();
+        try {
+            return { kind: 'log', pattern: new RegExp(source) };
+        } catch (error) {
+            throw new Error(`Invalid ready log pattern "${source}": ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    const portMatch = /^port:(?:(.+):)?(\d+)$/.exec(trimmed);
+    if (portMatch) {
+        const port = Number(portMatch[2]);
+        if (port < 1 || port > 65535) {
+            throw new Error(`Invalid ready port ${portMatch[2]}.`);
+        }
+
+        return { kind: 'port', hostname: portMatch[1] ?? '127.0.0.1', port };
+    }
+
+    throw new Error(`Unsupported ready check "${trimmed}". ${READY_USAGE}`);
+}
+
+/**
+ * @param {ReadyCheck} check
+ */
+export function describeReadyCheck(check) {
+    switch (check.kind) {
+        case 'port': {
+            return `port ${check.hostname}:${check.port} accepts connections`;
+        }
+        case 'http': {
+            return `${check.url} returns 200`;
+        }
+        case 'log': {
+            return `output matches /${check.pattern.source}/`;
+        }
+    }
+}
+
+/**
+ * Whether a check failed because yaml-run may not use the network, which no
+ * amount of waiting fixes.
+ *
+ * @param {unknown} error
+ */
+function isPermissionError(error) {
+    return error instanceof Deno.errors.PermissionDenied || ('NotCapable' in Deno.errors && error instanceof Deno.errors.NotCapable);
+}
+
+/**
+ * @param {ReadyCheck} check
+ * @param {unknown} error
+ */
+function createPermissionError(check, error) {
+    return new Error(`The ready check "${describeReadyCheck(check)}" needs network access; run yaml-run with --allow-net.`, { cause: error });
+}
+
+/**
+ * @param {ReadyCheck} check
+ * @param {string} output
+ */
+async function isReady(check, output) {
+    switch (check.kind) {
+        case 'port': {
+            try {
+                const connection = await Deno.connect({ hostname: check.hostname, port: check.port });
+                connection.close();
+                return true;
+            } catch (error) {
+                if (isPermissionError(error)) {
+                    throw createPermissionError(check, error);
+                }
+
+                return false;
+            }
+        }
+        case 'http': {
+            try {
+                const response = await fetch(check.url, { signal: AbortSignal.timeout(POLL_INTERVAL_MS * 8) });
+                await response.body?.cancel();
+                return response.status === 200;
+            } catch (error) {
+                if (isPermissionError(error)) {
+                    throw createPermissionError(check, error);
+                }
+
+                return false;
+            }
+        }
+        case 'log': {
+            return check.pattern.test(output);
+        }
+    }
+}
+
+/**
+ * @param {number} delayMs
+ * @param {AbortSignal} [signal]
+ */
+function sleep(delayMs, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, delayMs);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve(undefined);
+        }
+
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * Polls a readiness check until it passes. Rejects when the service exits
+ * first, when the timeout elapses, or when the run is cancelled.
+ *
+ * @param {ReadyCheck} check
+ * @param {{
+ *     name: string,
+ *     timeoutMs: number,
+ *     signal?: AbortSignal,
+ *     getOutput: () => string,
+ *     hasExited: () => boolean,
+ * }} options
+ */
+export async function waitForReady(check, options) {
+    const deadline = Date.now() + options.timeoutMs;
+
+    while (true) {
+        if (options.signal?.aborted) {
+            throw new Error(`Service "${options.name}" was cancelled before it was ready.`);
+        }
+
+        if (await isReady(check, options.getOutput())) {
+            return;
+        }
+
+        if (options.hasExited()) {
+            throw new Error(`Service "${options.name}" exited before it was ready.`);
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Service "${options.name}" was not ready after ${(options.timeoutMs / 1000).toFixed(2)}s (waiting until ${describeReadyCheck(check)}).`);
+        }
+
+        await sleep(POLL_INTERVAL_MS, options.signal);
+    }
+}
@@ -1,7 +1,28 @@
-// --- Stats ---
-const executionStats = [];
-let nextStatId = 1;
-let nextSequence = 1;
+/**
+ * @typedef {'RUNNING' | 'PASS' | 'FAIL' | 'INTERRUPTED' | 'CACHED' | 'CANCELLED' | 'RETRIED' | 'TIMEOUT' | 'ALLOWED_FAIL' | 'PLANNED' | 'SKIPPED'} StatStatus
+ *
+ * @typedef {{
+ *     id: number,
+ *     sequence: number,
+ *     type: 'TASK' | 'CMD' | 'PATH' | 'TOOL' | 'FS',
+ *     name: string,
+ *     parentId: number | null,
+ *     depth: number,
+ *     status: StatStatus,
+ *     duration: number,
+ *     exitCode: number | null,
+ *     stderrTail: string,
+ * }} StatRecord
+ *
+ * @typedef {{
+ *     addStat: (stat: { type: StatRecord['type'], name: string, parentId?: number | null, depth?: number, status?: StatStatus, duration?: number }) => StatRecord,
+ *     finishStat: (record: StatRecord) => void,
+ *     getExecutionStats: () => StatRecord[],
+ *     reset: () => void,
+ * }} StatsRecorder
+ */
+
+const STATUS_WIDTH = 12;
 
 const ANSI_RESET = '\x1b[0m';
 const ANSI_DIM = '\x1b[2m';
@@ -60,19 +81,38 @@ function formatType(type) {
 function formatStatus(status) {
     switch (status) {
         case 'PASS': {
-            return colorize(status.padEnd(7), 'green', true);
+            return colorize(status.padEnd(STATUS_WIDTH), 'green', true);
         }
         case 'FAIL': {
-            return colorize(status.padEnd(7), 'red', true);
+            return colorize(status.padEnd(STATUS_WIDTH), 'red', true);
         }
         case 'RUNNING': {
-            return `${ANSI_DIM}${colorize(status.padEnd(7), 'yellow', true)}${ANSI_RESET}`;
+            return `${ANSI_DIM}${colorize(status.padEnd(STATUS_WIDTH), 'yellow', true)}${ANSI_RESET}`;
         }
         case 'INTERRUPTED': {
-            return colorize(status.padEnd(7), 'yellow', true);
+            return colorize(status.padEnd(STATUS_WIDTH), 'yellow', true);
+        }
+        case 'CACHED': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'cyan', true);
+        }
+        case 'CANCELLED': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'magenta', true);
+        }
+        case 'RETRIED':
+        case 'ALLOWED_FAIL': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'yellow', true);
+        }
+        case 'TIMEOUT': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'red', true);
+        }
+        case 'PLANNED': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'blue', true);
+        }
+        case 'SKIPPED': {
+            return colorize(status.padEnd(STATUS_WIDTH), 'gray', true);
         }
         default: {
-            return colorize(status.padEnd(7), 'gray', true);
+            return colorize(status.padEnd(STATUS_WIDTH), 'gray', true);
         }
     }
 }
@@ -107,10 +147,10 @@ function collectRows(stat, childrenByParentId, ancestry, isLast, rows) {
     }
 }
 
-function getChildrenByParentId() {
+function getChildrenByParentId(stats) {
     const childrenByParentId = new Map();
 
-    for (const stat of executionStats) {
+    for (const stat of stats) {
         const parentId = stat.parentId ?? null;
 
         if (!childrenByParentId.has(parentId)) {
@@ -128,38 +168,71 @@ function getChildrenByParentId() {
 }
 
 /**
- * Records a task, tool, filesystem, PATH command, or shell command execution node.
+ * Creates the tree of task, tool, filesystem, PATH command and shell command
+ * nodes for one run. Each run records into its own recorder, so several task
+ * trees can run in one process.
+ *
+ * `onStart` is called for every new node and `onFinish` once a node has its
+ * final status. Nodes recorded with a final status (SKIPPED, PLANNED) get both.
  *
- * @param {{ type: 'TASK' | 'CMD' | 'PATH' | 'TOOL' | 'FS', name: string, parentId?: number | null, depth?: number, status?: 'RUNNING' | 'PASS' | 'FAIL' | 'INTERRUPTED', duration?: number }} stat
- * @returns {{ id: number, sequence: number, type: 'TASK' | 'CMD' | 'PATH' | 'TOOL' | 'FS', name: string, parentId: number | null, depth: number, status: 'RUNNING' | 'PASS' | 'FAIL' | 'INTERRUPTED', duration: number }}
+ * @param {{ onStart?: (record: StatRecord) => void, onFinish?: (record: StatRecord) => void }} [listeners]
+ * @returns {StatsRecorder}
  */
-export function addStat(stat) {
-    const record = {
-        id: nextStatId++,
-        sequence: nextSequence++,
-        type: stat.type,
-        name: stat.name,
-        parentId: stat.parentId ?? null,
-        depth: stat.depth ?? 0,
-        status: stat.status ?? 'RUNNING',
-        duration: stat.duration ?? 0,
-    };
+export function createStatsRecorder(listeners = {}) {
+    /** @type {StatRecord[]} */
+    const executionStats = [];
+    let nextStatId = 1;
+    let nextSequence = 1;
 
-    executionStats.push(record);
-    return record;
+    return {
+        addStat(stat) {
+            /** @type {StatRecord} */
+            const record = {
+                id: nextStatId++,
+                sequence: nextSequence++,
+                type: stat.type,
+                name: stat.name,
+                parentId: stat.parentId ?? null,
+                depth: stat.depth ?? 0,
+                status: stat.status ?? 'RUNNING',
+                duration: stat.duration ?? 0,
+                exitCode: null,
+                stderrTail: '',
+            };
+
+            executionStats.push(record);
+            listeners.onStart?.(record);
+            if (record.status !== 'RUNNING') {
+                listeners.onFinish?.(record);
+            }
+
+            return record;
+        },
+        finishStat(record) {
+            listeners.onFinish?.(record);
+        },
+        getExecutionStats() {
+            return [...executionStats].sort((left, right) => left.sequence - right.sequence);
+        },
+        // Clears recorded nodes so the next run (e.g. a watch re-run) starts a fresh tree.
+        reset() {
+            executionStats.length = 0;
+        },
+    };
 }
 
 /**
  * Prints the execution summary as a tree shaped by task nesting.
  *
+ * @param {StatRecord[]} stats
  * @param {number} totalTime
  */
-export function printStatsSummary(totalTime) {
+export function printStatsSummary(stats, totalTime) {
     console.log('\n--- Execution Summary ---');
 
-    const childrenByParentId = getChildrenByParentId();
+    const childrenByParentId = getChildrenByParentId(stats);
     const rootStats = childrenByParentId.get(null) || [];
-    /** @type {Array<{ plainLeft: string, coloredLeft: string, status: 'RUNNING' | 'PASS' | 'FAIL', duration: number }>} */
+    /** @type {Array<{ plainLeft: string, coloredLeft: string, status: StatStatus, duration: number }>} */
     const rows = [];
 
     for (let index = 0; index < rootStats.length; index++) {
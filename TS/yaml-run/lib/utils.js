@@ -1,3 +1,5 @@
+import path from 'node:path';
+
 
 /**
  * Flattens nested objects into dot-notation (e.g., {a: {b: 1}} -> "a.b": 1)
@@ -25,6 +27,25 @@ export function isPlainObject(value) {
     return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
+/**
+ * Deep-merges `overlay` into `target` in place: nested objects merge key by key,
+ * while arrays and scalar values replace what was there.
+ *
+ * @param {Record<string, unknown>} target
+ * @param {Record<string, unknown>} overlay
+ * @returns {Record<string, unknown>}
+ */
+export function deepMerge(target, overlay) {
+    for (const [key, value] of Object.entries(overlay)) {
+        const current = target[key];
+        target[key] = isPlainObject(current) && isPlainObject(value)
+            ? deepMerge({ ...current }, value)
+            : value;
+    }
+
+    return target;
+}
+
 /**
  * @param {Record<string, unknown>} root
  * @param {string[]} pathParts
@@ -46,3 +67,98 @@ export function getValueByPath(root, pathParts) {
     }
     return current;
 }
+
+/**
+ * @param {string} targetPath
+ */
+export function isGlobPattern(targetPath) {
+    return /[*?[\]{}]/.test(targetPath);
+}
+
+/**
+ * Checks a `/`-separated relative path against glob patterns; plain paths match
+ * themselves and everything beneath them.
+ *
+ * @param {string} relativePath
+ * @param {string[]} patterns
+ */
+export function matchesPathPatterns(relativePath, patterns) {
+    return patterns.some((pattern) => {
+        if (isGlobPattern(pattern)) {
+            return path.matchesGlob(relativePath, pattern);
+        }
+
+        return relativePath === pattern || relativePath.startsWith(`${pattern}/`);
+    });
+}
+
+/**
+ * Parses a duration such as `500ms`, `30s`, `2m` or `1h` (bare numbers are milliseconds).
+ *
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/i.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const amount = Number(match[1]);
+    switch ((match[2] ?? 'ms').toLowerCase()) {
+        case 'h': {
+            return amount * 60 * 60 * 1000;
+        }
+        case 'm': {
+            return amount * 60 * 1000;
+        }
+        case 's': {
+            return amount * 1000;
+        }
+        default: {
+            return amount;
+        }
+    }
+}
+
+/**
+ * Resolves a `concurrency` setting: a number, `cpu`, or `cpu-N` / `cpu+N`
+ * relative to the available cores. Missing values allow every item at once.
+ *
+ * @param {unknown} value
+ * @param {number} itemCount
+ * @returns {number | null} null when the value cannot be parsed
+ */
+export function resolveConcurrency(value, itemCount) {
+    if (value === undefined || value === null) {
+        return Math.max(1, itemCount);
+    }
+
+    const cpuCount = navigator.hardwareConcurrency;
+    let concurrency;
+
+    if (typeof value === 'string' && value.trim().startsWith('cpu')) {
+        const offsetText = value.trim().slice(3);
+        const offset = offsetText.length === 0 ? 0 : Number(offsetText);
+        if (!Number.isInteger(offset)) {
+            return null;
+        }
+
+        concurrency = cpuCount + offset;
+    } else {
+        concurrency = Number(value);
+        if (!Number.isInteger(concurrency)) {
+            return null;
+        }
+    }
+
+    return Math.max(1, concurrency);
+}
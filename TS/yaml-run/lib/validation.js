@@ -1,8 +1,16 @@
+import { parseCondition } from './conditions.js';
 import { injectVariables } from './config.js';
-import { classifyCommand, hasShellOperators } from './resolution.js';
+import { SUBCOMMANDS } from './constants.js';
+import { FS_ACTION_USAGE, getFsUsageError } from './fs-actions.js';
+import { buildTaskGraph, collectReachableTasks, findTaskCycles, getTaskDependencies } from './graph.js';
+import { parsePlaceholder, PLACEHOLDER_PATTERN } from './placeholders.js';
+import { classifyCommand, hasShellOperators, isExplicitCommandPrefix } from './resolution.js';
+import { parseReadyCheck } from './services.js';
+import { isPlainObject, parseDuration, resolveConcurrency } from './utils.js';
 
 /**
  * @typedef {{
+ *     level: 'warning' | 'error',
  *     scriptName: string,
  *     stepPath: string,
  *     message: string,
@@ -15,10 +23,13 @@ import { classifyCommand, hasShellOperators } from './resolution.js';
  *     scripts: Record<string, unknown>,
  *     variables: Record<string, unknown>,
  *     toolCatalog: Map<string, Array<{ label: string, executeSpec: string }>>,
+ *     strictPlaceholders?: boolean,
+ *     collisions?: import('./scripts.js').ScriptCollision[],
  * }} ValidationContext
  */
 
 const isWindows = Deno.build.os === 'windows';
+const CAPTURE_NAME_PATTERN = /^[\w.-]+$/;
 
 /**
  * @param {string} commandText
@@ -38,6 +49,22 @@ function hasPortableAlternative(commandText) {
         return 'Use the `fs:` prefix with `copy` instead of `cp -r` or `shx cp`.';
     }
 
+    if (/\bmv\s/.test(normalizedCommand) || /\bshx\s+mv\b/.test(normalizedCommand) || /\bmove-item\b/.test(normalizedCommand)) {
+        return 'Use the `fs:` prefix with `move` instead of `mv` or `Move-Item`.';
+    }
+
+    if (/\btouch\s/.test(normalizedCommand) || /\bchmod\s/.test(normalizedCommand)) {
+        return 'Use the `fs:` prefix with `touch` or `chmod` instead of the shell commands.';
+    }
+
+    if (/\bsha256sum\b/.test(normalizedCommand) || /\bget-filehash\b/.test(normalizedCommand)) {
+        return 'Use the `fs:` prefix with `hash <glob> > <file>` instead of `sha256sum` or `Get-FileHash`.';
+    }
+
+    if (/\b(zip|tar)\s/.test(normalizedCommand) || /\bcompress-archive\b/.test(normalizedCommand)) {
+        return 'Use the `fs:` prefix with `zip` or `tar` instead of shell archivers.';
+    }
+
     if (/\bdeno\s+run\b/.test(normalizedCommand)) {
         return 'Use `path: deno ...` instead of wrapping `deno` in a shell command.';
     }
@@ -53,12 +80,372 @@ function hasPortableAlternative(commandText) {
  */
 function addWarning(warnings, scriptName, stepPath, message) {
     warnings.push({
+        level: 'warning',
+        scriptName,
+        stepPath,
+        message,
+    });
+}
+
+/**
+ * Records a problem that must stop execution before any task runs.
+ *
+ * @param {ValidationWarning[]} warnings
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {string} message
+ */
+function addError(warnings, scriptName, stepPath, message) {
+    warnings.push({
+        level: 'error',
         scriptName,
         stepPath,
         message,
     });
 }
 
+/**
+ * @param {unknown} value
+ */
+function isPatternList(value) {
+    return typeof value === 'string' || (Array.isArray(value) && value.every((entry) => typeof entry === 'string'));
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateCacheDeclarations(recordTask, scriptName, stepPath, warnings) {
+    for (const key of ['inputs', 'outputs']) {
+        if (recordTask[key] !== undefined && !isPatternList(recordTask[key])) {
+            addWarning(warnings, scriptName, `${stepPath}.${key}`, `The \`${key}\` key must be a glob string or a list of glob strings.`);
+        }
+    }
+
+    if (recordTask.outputs !== undefined && recordTask.inputs === undefined) {
+        addWarning(warnings, scriptName, `${stepPath}.outputs`, 'The `outputs` key has no effect without `inputs`; the task will always run.');
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateWatchOptions(recordTask, scriptName, stepPath, warnings) {
+    if (recordTask.watch !== undefined && !isPatternList(recordTask.watch)) {
+        addWarning(warnings, scriptName, `${stepPath}.watch`, 'The `watch` key must be a glob string or a list of glob strings.');
+    }
+
+    if (recordTask.watchMode !== undefined && recordTask.watchMode !== 'restart' && recordTask.watchMode !== 'queue') {
+        addWarning(warnings, scriptName, `${stepPath}.watchMode`, 'The `watchMode` key must be `restart` or `queue`.');
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateEnvironmentOptions(recordTask, scriptName, stepPath, warnings) {
+    if (recordTask.env !== undefined) {
+        if (!isPlainObject(recordTask.env)) {
+            addWarning(warnings, scriptName, `${stepPath}.env`, 'The `env` key must be a map of variable names to values.');
+        } else {
+            for (const [key, value] of Object.entries(recordTask.env)) {
+                if (value !== null && typeof value === 'object') {
+                    addWarning(warnings, scriptName, `${stepPath}.env.${key}`, 'Environment values must be strings, numbers, or booleans.');
+                }
+            }
+        }
+    }
+
+    if (recordTask.envFile !== undefined && !isPatternList(recordTask.envFile)) {
+        addWarning(warnings, scriptName, `${stepPath}.envFile`, 'The `envFile` key must be a path or a list of paths.');
+    }
+
+    if (recordTask.cwd !== undefined && typeof recordTask.cwd !== 'string') {
+        addWarning(warnings, scriptName, `${stepPath}.cwd`, 'The `cwd` key must be a path relative to the site root.');
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validatePolicyOptions(recordTask, scriptName, stepPath, warnings) {
+    if (recordTask.retry !== undefined) {
+        const retryConfig = isPlainObject(recordTask.retry) ? recordTask.retry : { count: recordTask.retry };
+
+        if (!Number.isInteger(retryConfig.count) || Number(retryConfig.count) < 0) {
+            addWarning(warnings, scriptName, `${stepPath}.retry`, 'The `retry` count must be a non-negative integer.');
+        }
+
+        if (retryConfig.delayMs !== undefined && parseDuration(retryConfig.delayMs) === null) {
+            addWarning(warnings, scriptName, `${stepPath}.retry.delayMs`, 'The retry delay must be milliseconds or a duration such as `500ms` or `2s`.');
+        }
+
+        const backoff = retryConfig.backoff;
+        if (backoff !== undefined && backoff !== 'fixed' && backoff !== 'linear' && backoff !== 'exponential' && typeof backoff !== 'number') {
+            addWarning(warnings, scriptName, `${stepPath}.retry.backoff`, 'The retry backoff must be `fixed`, `linear`, `exponential`, or a numeric multiplier.');
+        }
+    }
+
+    if (recordTask.timeout !== undefined && parseDuration(recordTask.timeout) === null) {
+        addWarning(warnings, scriptName, `${stepPath}.timeout`, 'The `timeout` key must be milliseconds or a duration such as `30s` or `5m`.');
+    }
+
+    if (recordTask.continueOnError !== undefined && typeof recordTask.continueOnError !== 'boolean') {
+        addWarning(warnings, scriptName, `${stepPath}.continueOnError`, 'The `continueOnError` key must be true or false.');
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateMatrixOptions(recordTask, scriptName, stepPath, warnings) {
+    if (recordTask.matrix !== undefined) {
+        const matrix = recordTask.matrix;
+        const isScalar = (/** @type {unknown} */ value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+        if (!isPlainObject(matrix) || Object.keys(matrix).length === 0) {
+            addError(warnings, scriptName, `${stepPath}.matrix`, 'The `matrix` key must map names to lists of values, e.g. `{ site: [a, b] }`.');
+        } else if (stepPath !== scriptName) {
+            addError(warnings, scriptName, `${stepPath}.matrix`, 'The `matrix` key is only supported on tasks, not on steps; move the step into its own task.');
+        } else {
+            for (const [key, values] of Object.entries(matrix)) {
+                if (!/^[\w-]+$/.test(key)) {
+                    addError(warnings, scriptName, `${stepPath}.matrix.${key}`, 'Matrix names may only use letters, digits, "_" and "-".');
+                } else if (!Array.isArray(values) || values.length === 0 || !values.every(isScalar)) {
+                    addError(warnings, scriptName, `${stepPath}.matrix.${key}`, 'Matrix values must be a non-empty list of strings, numbers, or booleans.');
+                }
+            }
+        }
+    }
+
+    if (recordTask.matrixMode !== undefined) {
+        if (recordTask.matrixMode !== 'series' && recordTask.matrixMode !== 'parallel') {
+            addWarning(warnings, scriptName, `${stepPath}.matrixMode`, 'The `matrixMode` key must be `series` or `parallel`.');
+        } else if (recordTask.matrix === undefined) {
+            addWarning(warnings, scriptName, `${stepPath}.matrixMode`, 'The `matrixMode` key has no effect without `matrix`.');
+        }
+    }
+}
+
+/**
+ * Checks a task's `before:`, `after:` and `finally:` steps, which run around
+ * the task itself and so cannot be set on its steps.
+ *
+ * @param {Record<string, unknown>} recordTask
+ * @param {ValidationContext} context
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateHookSteps(recordTask, context, scriptName, stepPath, warnings) {
+    for (const hook of ['before', 'after', 'finally']) {
+        const steps = recordTask[hook];
+        if (steps === undefined) {
+            continue;
+        }
+
+        if (stepPath !== scriptName) {
+            addError(warnings, scriptName, `${stepPath}.${hook}`, `The \`${hook}\` key is only supported on tasks, not on steps; move the step into its own task.`);
+            continue;
+        }
+
+        if (Array.isArray(steps)) {
+            steps.forEach((step, index) => validateTask(step, context, scriptName, `${stepPath}.${hook}[${index}]`, warnings));
+        } else {
+            validateTask(steps, context, scriptName, `${stepPath}.${hook}`, warnings);
+        }
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {import('./resolution.js').CommandClassification | undefined} classification
+ * @param {ValidationContext} context
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateServiceOptions(recordTask, classification, context, scriptName, stepPath, warnings) {
+    if (stepPath === scriptName) {
+        addError(warnings, scriptName, `${stepPath}.service`, 'A `service` must be a step of a task, e.g. `[build, { service: serve, ready: "port:8080" }, test]`; it is stopped when that task ends.');
+    }
+
+    if (recordTask.cmd !== undefined || recordTask.script !== undefined) {
+        addError(warnings, scriptName, `${stepPath}.service`, 'A step cannot combine `service` with `cmd` or `script`.');
+    }
+
+    if (classification?.kind === 'fs') {
+        addError(warnings, scriptName, `${stepPath}.service`, 'An `fs:` action cannot run as a service.');
+    }
+
+    if (recordTask.ready !== undefined) {
+        try {
+            parseReadyCheck(String(injectVariables(String(recordTask.ready), context.variables)));
+        } catch (error) {
+            addError(warnings, scriptName, `${stepPath}.ready`, error instanceof Error ? error.message : String(error));
+        }
+    }
+
+    if (recordTask.readyTimeout !== undefined && parseDuration(recordTask.readyTimeout) === null) {
+        addWarning(warnings, scriptName, `${stepPath}.readyTimeout`, 'The `readyTimeout` key must be milliseconds or a duration such as `30s`.');
+    }
+
+    for (const key of ['retry', 'timeout', 'continueOnError', 'capture']) {
+        if (recordTask[key] !== undefined) {
+            addWarning(warnings, scriptName, `${stepPath}.${key}`, `The \`${key}\` key has no effect on a \`service\` step.`);
+        }
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {ValidationContext} context
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateDependencies(recordTask, context, scriptName, stepPath, warnings) {
+    if (recordTask.depends === undefined) {
+        return;
+    }
+
+    if (!isPatternList(recordTask.depends)) {
+        addError(warnings, scriptName, `${stepPath}.depends`, 'The `depends` key must be a task name or a list of task names.');
+        return;
+    }
+
+    for (const dependency of getTaskDependencies(recordTask.depends)) {
+        if (!Object.prototype.hasOwnProperty.call(context.scripts, dependency)) {
+            addError(warnings, scriptName, `${stepPath}.depends`, `Unknown dependency "${dependency}".`);
+        }
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} recordTask
+ * @param {import('./resolution.js').CommandClassification | undefined} classification
+ * @param {string} scriptName
+ * @param {string} stepPath
+ * @param {ValidationWarning[]} warnings
+ */
+function validateCaptureOption(recordTask, classification, scriptName, stepPath, warnings) {
+    if (recordTask.capture === undefined) {
+        return;
+    }
+
+    if (typeof recordTask.capture !== 'string' || !CAPTURE_NAME_PATTERN.test(recordTask.capture)) {
+        addError(warnings, scriptName, `${stepPath}.capture`, 'The `capture` key must be a variable name such as `build.sha`.');
+        return;
+    }
+
+    if (typeof recordTask.cmd !== 'string' && typeof recordTask.script !== 'string') {
+        addError(warnings, scriptName, `${stepPath}.capture`, 'The `capture` key needs a `cmd` or `script` whose output it stores.');
+        return;
+    }
+
+    if (classification?.kind === 'script' || classification?.kind === 'fs') {
+        addError(warnings, scriptName, `${stepPath}.capture`, `The \`capture\` key needs a command that prints to stdout, not ${classification.kind === 'fs' ? 'an `fs:` action' : 'a task reference'}.`);
+    }
+
+    if (recordTask.inputs !== undefined) {
+        addWarning(warnings, scriptName, `${stepPath}.capture`, 'Nothing is captured when the task is skipped as CACHED; later steps will see the value as undefined.');
+    }
+}
+
+/**
+ * @param {unknown} task
+ * @param {Set<string>} names
+ */
+function collectRuntimeVariableNames(task, names) {
+    if (Array.isArray(task)) {
+        task.forEach((step) => collectRuntimeVariableNames(step, names));
+        return;
+    }
+
+    if (!isPlainObject(task)) {
+        return;
+    }
+
+    if (typeof task.capture === 'string') {
+        names.add(task.capture);
+    }
+
+    if (isPlainObject(task.matrix)) {
+        for (const key of Object.keys(task.matrix)) {
+            names.add(`matrix.${key}`);
+        }
+    }
+
+    for (const key of ['parallel', 'series', 'before', 'after', 'finally']) {
+        collectRuntimeVariableNames(task[key], names);
+    }
+}
+
+/**
+ * @param {Record<string, unknown>} scripts
+ * @param {Set<string>} names
+ */
+function collectArgumentNames(scripts, names) {
+    for (const [, expression] of JSON.stringify(scripts).matchAll(PLACEHOLDER_PATTERN)) {
+        try {
+            for (const operand of parsePlaceholder(expression).operands) {
+                if ('key' in operand && operand.key.startsWith('args.')) {
+                    names.add(operand.key);
+                }
+            }
+        } catch {
+            // Unknown filters are reported where the command is validated.
+        }
+    }
+}
+
+/**
+ * Adds a `__name__` stand-in for every variable that only exists once tasks run
+ * (`capture:` names and `matrix.<key>`) and that vars.yaml does not define,
+ * so `{{name}}` is not reported as undefined before anything has run. The
+ * stand-in has no shell characters, so it classifies like a real value would.
+ * `{{args.*}}` that were not passed after `--` count as empty.
+ *
+ * @param {Record<string, unknown>} scripts
+ * @param {Record<string, unknown>} variables
+ * @returns {Record<string, unknown>}
+ */
+export function withRuntimeStandIns(scripts, variables) {
+    /** @type {Set<string>} */
+    const runtimeNames = new Set();
+    for (const task of Object.values(scripts)) {
+        collectRuntimeVariableNames(task, runtimeNames);
+    }
+
+    const standIns = { ...variables };
+    for (const name of runtimeNames) {
+        standIns[name] ??= `__${name}__`;
+    }
+
+    /** @type {Set<string>} */
+    const argumentNames = new Set();
+    collectArgumentNames(scripts, argumentNames);
+    for (const name of argumentNames) {
+        standIns[name] ??= '';
+    }
+
+    return standIns;
+}
+
 /**
  * @param {unknown} task
  * @param {ValidationContext} context
@@ -82,8 +469,39 @@ function validateTask(task, context, scriptName, stepPath, warnings) {
 
     if (task && typeof task === 'object') {
         const recordTask = /** @type {Record<string, unknown>} */ (task);
+        if (recordTask.description !== undefined && typeof recordTask.description !== 'string') {
+            addWarning(warnings, scriptName, `${stepPath}.description`, 'The `description` key must be a string.');
+        }
+
+        validateCacheDeclarations(recordTask, scriptName, stepPath, warnings);
+        validateWatchOptions(recordTask, scriptName, stepPath, warnings);
+        validateEnvironmentOptions(recordTask, scriptName, stepPath, warnings);
+        validatePolicyOptions(recordTask, scriptName, stepPath, warnings);
+        validateDependencies(recordTask, context, scriptName, stepPath, warnings);
+        validateMatrixOptions(recordTask, scriptName, stepPath, warnings);
+        validateHookSteps(recordTask, context, scriptName, stepPath, warnings);
+
+        if (recordTask.if !== undefined) {
+            try {
+                parseCondition(recordTask.if);
+            } catch (error) {
+                addError(warnings, scriptName, `${stepPath}.if`, error instanceof Error ? error.message : String(error));
+            }
+        }
 
         if (Array.isArray(recordTask.parallel)) {
+            if (recordTask.concurrency !== undefined && resolveConcurrency(recordTask.concurrency, recordTask.parallel.length) === null) {
+                addWarning(warnings, scriptName, `${stepPath}.concurrency`, 'The `concurrency` key must be a number, `cpu`, or `cpu-N`.');
+            }
+
+            if (recordTask.failFast !== undefined && typeof recordTask.failFast !== 'boolean') {
+                addWarning(warnings, scriptName, `${stepPath}.failFast`, 'The `failFast` key must be true or false.');
+            }
+
+            if (recordTask.output !== undefined && recordTask.output !== 'prefixed' && recordTask.output !== 'grouped') {
+                addWarning(warnings, scriptName, `${stepPath}.output`, 'The `output` key must be `prefixed` or `grouped`.');
+            }
+
             recordTask.parallel.forEach((subTask, index) => {
                 validateTask(subTask, context, scriptName, `${stepPath}.parallel[${index}]`, warnings);
             });
@@ -97,14 +515,43 @@ function validateTask(task, context, scriptName, stepPath, warnings) {
             return;
         }
 
+        if (typeof recordTask.service === 'string') {
+            const classification = validateCommand(recordTask.service, context, scriptName, `${stepPath}.service`, warnings);
+            validateServiceOptions(recordTask, classification, context, scriptName, stepPath, warnings);
+            return;
+        }
+
+        if (typeof recordTask.cmd !== 'string' && typeof recordTask.script !== 'string') {
+            // A task with only `depends` (and hooks) runs its dependencies and passes.
+            if (recordTask.depends !== undefined && stepPath === scriptName) {
+                return;
+            }
+
+            const prefixKey = Object.keys(recordTask).find((key) => key !== 'cmd' && isExplicitCommandPrefix(key));
+            addError(
+                warnings,
+                scriptName,
+                stepPath,
+                'A task object needs one of `cmd`, `script`, `service`, `series` or `parallel`.' +
+                    (prefixKey ? ` Command prefixes belong inside the command: \`cmd: "${prefixKey}: ..."\`.` : '')
+            );
+            return;
+        }
+
+        /** @type {import('./resolution.js').CommandClassification | undefined} */
+        let classification;
         if (typeof recordTask.cmd === 'string') {
-            validateCommand(recordTask.cmd, context, scriptName, `${stepPath}.cmd`, warnings);
+            classification = validateCommand(recordTask.cmd, context, scriptName, `${stepPath}.cmd`, warnings);
         }
 
         if (typeof recordTask.script === 'string') {
-            validateCommand(recordTask.script, context, scriptName, `${stepPath}.script`, warnings);
+            classification = validateCommand(recordTask.script, context, scriptName, `${stepPath}.script`, warnings);
         }
 
+        validateCaptureOption(recordTask, classification, scriptName, stepPath, warnings);
+        if (recordTask.matrix !== undefined && typeof recordTask.capture === 'string') {
+            addError(warnings, scriptName, `${stepPath}.capture`, 'A `matrix` task runs several times, so it cannot `capture` a single value; capture inside its steps instead.');
+        }
         return;
     }
 
@@ -124,30 +571,16 @@ function validateTask(task, context, scriptName, stepPath, warnings) {
  */
 function validateFsCommand(classification, scriptName, stepPath, warnings) {
     const action = classification.fsAction ?? '';
-    const args = classification.fsArgs ?? [];
 
     if (action.length === 0) {
-        addWarning(warnings, scriptName, stepPath, 'The `fs:` prefix requires an action such as `rm`, `mkdir`, or `copy`.');
-        return;
-    }
-
-    if (action === 'rm' || action === 'mkdir') {
-        if (args.length === 0) {
-            addWarning(warnings, scriptName, stepPath, `The \`fs: ${action}\` action requires at least one path.`);
-        }
-
+        addWarning(warnings, scriptName, stepPath, `The \`fs:\` prefix requires an action such as ${Object.keys(FS_ACTION_USAGE).join(', ')}.`);
         return;
     }
 
-    if (action === 'copy') {
-        if (args.length !== 2) {
-            addWarning(warnings, scriptName, stepPath, 'The `fs: copy` action requires exactly one source path and one destination path.');
-        }
-
-        return;
+    const usageError = getFsUsageError(action, classification.fsArgs ?? []);
+    if (usageError) {
+        addWarning(warnings, scriptName, stepPath, usageError);
     }
-
-    addWarning(warnings, scriptName, stepPath, `Unknown fs action: ${action}. Supported actions are rm, mkdir, and copy.`);
 }
 
 /**
@@ -156,9 +589,16 @@ function validateFsCommand(classification, scriptName, stepPath, warnings) {
  * @param {string} scriptName
  * @param {string} stepPath
  * @param {ValidationWarning[]} warnings
+ * @returns {import('./resolution.js').CommandClassification | undefined}
  */
 function validateCommand(command, context, scriptName, stepPath, warnings) {
-    const injectedCommand = injectVariables(command, context.variables);
+    let injectedCommand;
+    try {
+        injectedCommand = injectVariables(command, context.variables, { strict: context.strictPlaceholders });
+    } catch (error) {
+        addError(warnings, scriptName, stepPath, error instanceof Error ? error.message : String(error));
+        return;
+    }
 
     let classification;
     try {
@@ -206,7 +646,7 @@ function validateCommand(command, context, scriptName, stepPath, warnings) {
             addWarning(warnings, scriptName, stepPath, portableAlternative);
         }
 
-        return;
+        return classification;
     }
 
     if (classification.kind === 'path') {
@@ -219,17 +659,19 @@ function validateCommand(command, context, scriptName, stepPath, warnings) {
             );
         }
 
-        return;
+        return classification;
     }
 
     if (classification.kind === 'fs') {
         validateFsCommand(classification, scriptName, stepPath, warnings);
-        return;
     }
+
+    return classification;
 }
 
 /**
- * Validates every task defined in scripts.yaml and returns portability warnings.
+ * Validates every task defined in scripts.yaml and returns portability warnings
+ * along with errors such as unknown dependencies and task reference cycles.
  *
  * @param {ValidationContext} context
  * @returns {ValidationWarning[]}
@@ -238,9 +680,53 @@ export function validateScripts(context) {
     /** @type {ValidationWarning[]} */
     const warnings = [];
 
+    const runtimeContext = { ...context, variables: withRuntimeStandIns(context.scripts, context.variables) };
     for (const [scriptName, task] of Object.entries(context.scripts)) {
-        validateTask(task, context, scriptName, scriptName, warnings);
+        validateTask(task, runtimeContext, scriptName, scriptName, warnings);
+    }
+
+    for (const collision of context.collisions ?? []) {
+        addError(
+            warnings,
+            collision.name,
+            collision.name,
+            `Task is defined by both ${collision.previousFile} and ${collision.file}; give one include its own \`namespace\`, or define "${collision.name}" in scripts.yaml to override both.`
+        );
+    }
+
+    for (const cycle of findTaskCycles(buildTaskGraph(runtimeContext))) {
+        addError(warnings, cycle[0], cycle[0], `Task reference cycle: ${cycle.join(' -> ')}.`);
+    }
+
+    for (const scriptName of Object.keys(context.scripts)) {
+        if (SUBCOMMANDS.includes(scriptName)) {
+            addWarning(
+                warnings,
+                scriptName,
+                scriptName,
+                `\`yaml-run ${scriptName}\` runs the ${scriptName} command, not this task; run the task with \`yaml-run run ${scriptName}\` or rename it.`
+            );
+        }
     }
 
     return warnings;
+}
+
+/**
+ * Keeps as errors only the problems that affect a run of `taskName`: those in
+ * the task itself and in every task it reaches. Errors in unrelated tasks
+ * become warnings, so one broken task does not block the rest of scripts.yaml.
+ *
+ * @param {ValidationWarning[]} warnings
+ * @param {string} taskName
+ * @param {ValidationContext} context
+ * @returns {ValidationWarning[]}
+ */
+export function scopeValidationToTask(warnings, taskName, context) {
+    const runtimeContext = { ...context, variables: withRuntimeStandIns(context.scripts, context.variables) };
+    const reachable = collectReachableTasks(taskName, buildTaskGraph(runtimeContext));
+
+    return warnings.map((warning) => {
+        return warning.level === 'error' && !reachable.has(warning.scriptName) ? { ...warning, level: 'warning' } : warning;
+    });
 }
\ No newline at end of file
@@ -0,0 +1,232 @@
+import path from 'node:path';
+
+import { injectVariables } from './config.js';
+import { createConfigFiles } from './constants.js';
+import { isShutdownRequested, runTask } from './executor.js';
+import { writeReports } from './report.js';
+import { printStatsSummary } from './stats.js';
+import { isPlainObject, matchesPathPatterns } from './utils.js';
+
+const WATCH_DEBOUNCE_MS = 200;
+
+/**
+ * @typedef {{
+ *     controller: AbortController,
+ *     promise: Promise<void>,
+ * }} WatchRun
+ */
+
+/**
+ * Returns the globs that trigger a re-run: `watch`, falling back to `inputs`.
+ *
+ * @param {unknown} task
+ * @returns {string[]}
+ */
+export function getWatchPatterns(task) {
+    if (!isPlainObject(task)) {
+        return [];
+    }
+
+    const patterns = task.watch ?? task.inputs;
+    if (typeof patterns === 'string') {
+        return [patterns];
+    }
+
+    if (Array.isArray(patterns)) {
+        return patterns.filter((pattern) => typeof pattern === 'string');
+    }
+
+    return [];
+}
+
+/**
+ * @param {string} siteRoot
+ * @param {string} pattern
+ */
+function normalizeWatchPattern(siteRoot, pattern) {
+    const relativePattern = path.isAbsolute(pattern) ? path.relative(siteRoot, pattern) : pattern;
+    return relativePattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Directories, relative to the site root, whose changes never trigger a re-run:
+ * yaml-run's own state (task cache, tool catalog), installed packages and the
+ * `--log-dir`, which a run writes to itself.
+ *
+ * @param {string} siteRoot
+ * @param {string | null | undefined} logDir
+ * @returns {string[]}
+ */
+function getIgnoredWatchDirectories(siteRoot, logDir) {
+    const directories = [createConfigFiles(siteRoot).stateDir, path.join(siteRoot, 'node_modules')];
+    if (logDir) {
+        directories.push(path.resolve(siteRoot, logDir));
+    }
+
+    return directories
+        .map((directory) => path.relative(siteRoot, directory).replace(/\\/g, '/'))
+        .filter((directory) => directory !== '' && !directory.startsWith('..'));
+}
+
+/**
+ * Runs a task, then re-runs it whenever a file matching its `watch` globs changes.
+ *
+ * Only events on paths that match those globs, outside the directories of
+ * `getIgnoredWatchDirectories`, are debounced into a run. By default a change
+ * cancels the in-flight run (its child processes are terminated through the
+ * tracked-process registry) and starts a new one; `watchMode: queue` lets the
+ * current run finish first.
+ *
+ * @param {string} taskName
+ * @param {import('./executor.js').ExecutionContext} context
+ * @param {{ signal?: AbortSignal, reports?: import('./report.js').ReportTarget[] }} [options]
+ *     Aborting the signal stops watching; reports are rewritten after every run.
+ */
+export async function watchTask(taskName, context, options = {}) {
+    const task = context.scripts[taskName];
+    if (!task) {
+        throw new Error(`Task "${taskName}" not found in scripts.yaml`);
+    }
+
+    const patterns = getWatchPatterns(task)
+        .map((pattern) => normalizeWatchPattern(context.siteRoot, injectVariables(pattern, context.variables)));
+
+    if (patterns.length === 0) {
+        throw new Error(`Task "${taskName}" has no \`watch\` or \`inputs\` globs to watch.`);
+    }
+
+    const ignoredDirectories = getIgnoredWatchDirectories(context.siteRoot, context.logDir);
+    const queueChanges = isPlainObject(task) && task.watchMode === 'queue';
+    /** @type {Set<string>} */
+    const changedFiles = new Set();
+    /** @type {WatchRun | null} */
+    let currentRun = null;
+    /** @type {number | null} */
+    let debounceTimer = null;
+    let rerunRequested = false;
+    let stopped = false;
+
+    const startRun = () => {
+        rerunRequested = false;
+
+        if (changedFiles.size > 0) {
+            const files = Array.from(changedFiles);
+            changedFiles.clear();
+            console.log(`\x1b[36m[watch] Changed: ${files.slice(0, 5).join(', ')}${files.length > 5 ? ' ...' : ''}\x1b[0m`);
+        }
+
+        const controller = new AbortController();
+        const runStart = Date.now();
+        context.session.stats.reset();
+
+        const promise = (async () => {
+            try {
+                await runTask(taskName, { ...context, signal: controller.signal });
+            } catch (error) {
+                if (!controller.signal.aborted && !isShutdownRequested(context.session)) {
+                    console.error(`\x1b[31m[watch] ${taskName} failed: ${error instanceof Error ? error.message : String(error)}\x1b[0m`);
+                }
+            } finally {
+                const runTime = Date.now() - runStart;
+                const stats = context.session.stats.getExecutionStats();
+                printStatsSummary(stats, runTime);
+
+                if (options.reports && options.reports.length > 0) {
+                    await writeReports(options.reports, stats, runTime);
+                }
+            }
+        })().catch((error) => {
+            // A failing summary or report must not end watch mode or strand a queued re-run.
+            console.error(`\x1b[31m[watch] Could not finish the run of ${taskName}: ${error instanceof Error ? error.message : String(error)}\x1b[0m`);
+        });
+
+        currentRun = { controller, promise };
+
+        promise.then(() => {
+            currentRun = null;
+
+            if (stopped) {
+                return;
+            }
+
+            if (rerunRequested) {
+                startRun();
+                return;
+            }
+
+            console.log(`\x1b[36m[watch] Waiting for changes...\x1b[0m`);
+        });
+    };
+
+    const scheduleRun = () => {
+        if (debounceTimer !== null) {
+            clearTimeout(debounceTimer);
+        }
+
+        debounceTimer = setTimeout(() => {
+            debounceTimer = null;
+
+            if (!currentRun) {
+                startRun();
+                return;
+            }
+
+            rerunRequested = true;
+            if (!queueChanges) {
+                console.log(`\x1b[33m[watch] Restarting ${taskName}...\x1b[0m`);
+                currentRun.controller.abort();
+            }
+        }, WATCH_DEBOUNCE_MS);
+    };
+
+    const watcher = Deno.watchFs(context.siteRoot, { recursive: true });
+
+    const stop = () => {
+        stopped = true;
+
+        if (debounceTimer !== null) {
+            clearTimeout(debounceTimer);
+            debounceTimer = null;
+        }
+
+        currentRun?.controller.abort();
+
+        try {
+            watcher.close();
+        } catch {
+            // The watcher may already be closed.
+        }
+    };
+
+    if (options.signal?.aborted) {
+        stop();
+        return;
+    }
+
+    options.signal?.addEventListener('abort', stop, { once: true });
+
+    console.log(`\x1b[36m[watch] Watching ${patterns.join(', ')} for ${taskName}\x1b[0m`);
+    startRun();
+
+    try {
+        for await (const event of watcher) {
+            for (const eventPath of event.paths) {
+                const relativePath = path.relative(context.siteRoot, eventPath).replace(/\\/g, '/');
+                if (relativePath.startsWith('..') || ignoredDirectories.some((directory) => relativePath === directory || relativePath.startsWith(`${directory}/`))) {
+                    continue;
+                }
+
+                if (!matchesPathPatterns(relativePath, patterns)) {
+                    continue;
+                }
+
+                changedFiles.add(relativePath);
+                scheduleRun();
+            }
+        }
+    } finally {
+        options.signal?.removeEventListener('abort', stop);
+        stop();
+        await currentRun?.promise;
+    }
+}
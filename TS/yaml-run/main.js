@@ -1,24 +1,53 @@
-#!/usr/bin/env -S deno run --allow-env --allow-read --allow-run
-
-import yaml from "npm:js-yaml@^4.1.1";
-import { createConfigFiles, findSiteRoot } from './lib/constants.js';
-import { assertVariablesResolved, loadVariables } from './lib/config.js';
-import { buildToolCatalog } from './lib/resolution.js';
-import { isShutdownRequested, requestShutdown, runTask, waitForShutdown } from './lib/executor.js';
-import { validateScripts } from './lib/validation.js';
+#!/usr/bin/env -S deno run --allow-env --allow-read --allow-run --allow-net
+
+import path from 'node:path';
+import { openTaskCache } from './lib/cache.js';
+import { parseCliArgs, USAGE } from './lib/cli.js';
+import { findSiteRoot } from './lib/constants.js';
+import { assertVariablesResolved, createArgumentVariables, loadVariables, referencesArgumentVariables } from './lib/config.js';
+import { buildTaskDiagram, renderDiagram } from './lib/diagram.js';
+import { describeTask, formatTaskList, formatToolCatalog, listTasks } from './lib/help.js';
+import { buildToolCatalog, inspectToolCatalog } from './lib/resolution.js';
+import { validateConfigSchemas } from './lib/schema.js';
+import { loadScripts } from './lib/scripts.js';
+import { createExecutionSession, isShutdownRequested, requestShutdown, runTask, waitForShutdown } from './lib/executor.js';
+import { scopeValidationToTask, validateScripts } from './lib/validation.js';
+import { writeReports } from './lib/report.js';
 import { printStatsSummary } from './lib/stats.js';
+import { watchTask } from './lib/watch.js';
 
 // --- Main Execution Entry ---
 async function main() {
     const startTotal = Date.now();
-    const args = Deno.args;
-    if (args.length === 0) {
-        console.error('Usage: yaml-run <task_name>');
+    let cliOptions;
+    try {
+        cliOptions = parseCliArgs(Deno.args);
+    } catch (err) {
+        console.error(`\x1b[31m[Error] ${err instanceof Error ? err.message : String(err)}\x1b[0m`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    if (cliOptions.command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!cliOptions.taskName && !['list', 'validate', 'tools'].includes(cliOptions.command)) {
+        console.error(USAGE);
         return 1;
     }
 
-    const taskName = args[0];
+    if (cliOptions.dryRun && cliOptions.watch) {
+        console.error('\x1b[31m[Error] --dry-run cannot be combined with --watch.\x1b[0m');
+        return 1;
+    }
+
+    const taskName = cliOptions.taskName ?? '';
+    const runsTasks = cliOptions.command === 'run';
     let interrupted = false;
+    const watchController = new AbortController();
+    const session = createExecutionSession();
 
     const onSignal = () => {
         if (!interrupted) {
@@ -26,7 +55,8 @@ async function main() {
             console.warn('\x1b[33m[Interrupted] Stopping active tasks...\x1b[0m');
         }
 
-        requestShutdown();
+        watchController.abort();
+        requestShutdown(session);
     };
 
     Deno.addSignalListener('SIGINT', onSignal);
@@ -34,47 +64,132 @@ async function main() {
 
     try {
         const siteRoot = await findSiteRoot(Deno.cwd());
-        const configFiles = createConfigFiles(siteRoot);
-        const scriptConfig = yaml.load(await Deno.readTextFile(configFiles.scripts))?.scripts || {};
-        const variables = await loadVariables(siteRoot);
+        const { scripts: scriptConfig, collisions, documents } = await loadScripts(siteRoot);
+        const environment = cliOptions.env ?? Deno.env.get('YAML_RUN_ENV') ?? null;
+        if (environment && runsTasks) {
+            console.log(`\x1b[36m[Env] Using the "${environment}" environment from vars.yaml\x1b[0m`);
+        }
+
+        const variables = {
+            ...(await loadVariables(siteRoot, { environment })),
+            ...createArgumentVariables(cliOptions.taskArgs),
+        };
         assertVariablesResolved(variables);
-        const toolCatalog = await buildToolCatalog(siteRoot);
+        const toolCatalog = await buildToolCatalog(siteRoot, { cache: cliOptions.catalogCache, refresh: cliOptions.refresh });
+
+        if (cliOptions.command === 'list') {
+            formatTaskList(listTasks({ scripts: scriptConfig, variables, toolCatalog })).forEach((line) => console.log(line));
+            return 0;
+        }
+
+        if (cliOptions.command === 'tools') {
+            formatToolCatalog(inspectToolCatalog(toolCatalog)).forEach((line) => console.log(line));
+            return 0;
+        }
 
-        const validationWarnings = validateScripts({
+        if (cliOptions.command === 'describe') {
+            describeTask(taskName, { scripts: scriptConfig, variables, toolCatalog }).forEach((line) => console.log(line));
+            return 0;
+        }
+
+        if (cliOptions.command === 'graph') {
+            // Plain output, so it can be redirected into a .mmd/.dot file or pasted into a README.
+            const diagram = buildTaskDiagram(taskName, { scripts: scriptConfig, variables, toolCatalog });
+            console.log(renderDiagram(diagram, cliOptions.format).trimEnd());
+            return 0;
+        }
+
+        const validationContext = {
             siteRoot,
             scripts: scriptConfig,
             variables,
             toolCatalog,
-        });
+            strictPlaceholders: cliOptions.strict,
+            collisions,
+        };
+        let validationWarnings = validateScripts(validationContext);
+
+        if (cliOptions.command === 'validate') {
+            validationWarnings.unshift(...(await validateConfigSchemas(siteRoot, documents)));
+        } else {
+            // Only problems in the tasks this run reaches stop it.
+            validationWarnings = scopeValidationToTask(validationWarnings, taskName, validationContext);
+        }
 
         for (const warning of validationWarnings) {
-            console.warn(`\x1b[33m[Warning] ${warning.scriptName} :: ${warning.stepPath} - ${warning.message}\x1b[0m`);
+            if (warning.level === 'error') {
+                console.error(`\x1b[31m[Error] ${warning.scriptName} :: ${warning.stepPath} - ${warning.message}\x1b[0m`);
+            } else {
+                console.warn(`\x1b[33m[Warning] ${warning.scriptName} :: ${warning.stepPath} - ${warning.message}\x1b[0m`);
+            }
+        }
+
+        const errorCount = validationWarnings.filter((warning) => warning.level === 'error').length;
+        if (cliOptions.command === 'validate') {
+            const warningCount = validationWarnings.length - errorCount;
+            if (validationWarnings.length === 0) {
+                console.log(`\x1b[32m[Validate] No problems found in ${documents.size} scripts file(s) and vars.yaml.\x1b[0m`);
+            } else {
+                console.log(`\x1b[${errorCount > 0 ? 31 : 33}m[Validate] ${errorCount} error(s), ${warningCount} warning(s).\x1b[0m`);
+            }
+
+            return errorCount > 0 ? 1 : 0;
         }
 
-        await runTask(taskName, {
+        if (errorCount > 0) {
+            throw new Error(`"${taskName}" has validation errors in the tasks it runs; nothing was run.`);
+        }
+
+        const taskCache = await openTaskCache(siteRoot, { force: cliOptions.force });
+
+        const executionContext = {
+            session,
             siteRoot,
             scripts: scriptConfig,
             variables,
             toolCatalog,
-        });
+            taskCache,
+            forwardArgs: referencesArgumentVariables(scriptConfig[taskName]) ? [] : cliOptions.taskArgs,
+            dryRun: cliOptions.dryRun,
+            captureStderr: cliOptions.reports.length > 0,
+            strictPlaceholders: cliOptions.strict,
+            // Like report paths, the log directory resolves from where yaml-run was started.
+            logDir: cliOptions.logDir ? path.resolve(cliOptions.logDir) : null,
+        };
+
+        if (cliOptions.watch) {
+            await watchTask(taskName, executionContext, { signal: watchController.signal, reports: cliOptions.reports });
+        } else {
+            await runTask(taskName, executionContext);
+        }
 
-        return isShutdownRequested() || interrupted ? 130 : 0;
+        return isShutdownRequested(session) || interrupted ? 130 : 0;
 
     } catch (err) {
-        if (isShutdownRequested() || interrupted) {
+        if (isShutdownRequested(session) || interrupted) {
             return 130;
         }
 
         console.error(`\x1b[31m[Error] ${err instanceof Error ? err.message : String(err)}\x1b[0m`);
         return 1;
     } finally {
-        if (isShutdownRequested() || interrupted) {
-            await waitForShutdown();
+        if (isShutdownRequested(session) || interrupted) {
+            await waitForShutdown(session);
         }
 
         Deno.removeSignalListener('SIGINT', onSignal);
         Deno.removeSignalListener('SIGTERM', onSignal);
-        printStatsSummary(Date.now() - startTotal);
+
+        // Watch mode prints a summary after every run instead.
+        if (runsTasks && !cliOptions.watch) {
+            const totalTime = Date.now() - startTotal;
+            const stats = session.stats.getExecutionStats();
+            printStatsSummary(stats, totalTime);
+
+            if (cliOptions.reports.length > 0) {
+                await writeReports(cliOptions.reports, stats, totalTime);
+            }
+        }
     }
 }
 
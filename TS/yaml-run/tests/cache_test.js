@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { computeTaskFingerprint } from '../lib/cache.js';
+
+/**
+ * Runs `fn` with a fresh site directory holding `src/a.txt`, removed afterwards.
+ *
+ * @param {(siteRoot: string) => Promise<void>} fn
+ */
+async function withSite(fn) {
+    const siteRoot = await Deno.makeTempDir({ prefix: 'yaml-run-cache-' });
+
+    try {
+        await Deno.mkdir(path.join(siteRoot, 'src'));
+        await Deno.writeTextFile(path.join(siteRoot, 'src', 'a.txt'), 'one');
+        await fn(siteRoot);
+    } finally {
+        await Deno.remove(siteRoot, { recursive: true });
+    }
+}
+
+const task = { 'cross-shell': 'build {{mode}}', inputs: ['src/**'] };
+
+Deno.test('computeTaskFingerprint is stable for the same inputs', async () => {
+    await withSite(async (siteRoot) => {
+        const first = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+        const second = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+
+        assert.match(first, /^[0-9a-f]{64}$/);
+        assert.equal(first, second);
+    });
+});
+
+Deno.test('computeTaskFingerprint changes when an input file changes', async () => {
+    await withSite(async (siteRoot) => {
+        const before = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+        await Deno.writeTextFile(path.join(siteRoot, 'src', 'a.txt'), 'two');
+
+        assert.notEqual(await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }), before);
+    });
+});
+
+Deno.test('computeTaskFingerprint changes when a new input file appears', async () => {
+    await withSite(async (siteRoot) => {
+        const before = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+        await Deno.writeTextFile(path.join(siteRoot, 'src', 'b.txt'), 'one');
+
+        assert.notEqual(await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }), before);
+    });
+});
+
+Deno.test('computeTaskFingerprint hashes the definition with placeholders filled in', async () => {
+    await withSite(async (siteRoot) => {
+        const dev = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+
+        assert.notEqual(await computeTaskFingerprint(task, siteRoot, { mode: 'prod' }), dev);
+        // Variables the task does not use leave the fingerprint alone.
+        assert.equal(await computeTaskFingerprint(task, siteRoot, { mode: 'dev', other: 'x' }), dev);
+    });
+});
+
+Deno.test('computeTaskFingerprint covers forwarded arguments and {{args.*}} values', async () => {
+    await withSite(async (siteRoot) => {
+        const plain = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' });
+        const one = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { forwardArgs: ['one'] });
+        const two = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { forwardArgs: ['two'] });
+        const flagged = await computeTaskFingerprint(task, siteRoot, { mode: 'dev', 'args.target': 'web' });
+
+        assert.equal(new Set([plain, one, two, flagged]).size, 4);
+    });
+});
+
+Deno.test('computeTaskFingerprint covers the resolved env and cwd', async () => {
+    await withSite(async (siteRoot) => {
+        const plain = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { env: {}, cwd: siteRoot });
+        const withEnv = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { env: { NODE_ENV: 'test' }, cwd: siteRoot });
+        const inSrc = await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { env: {}, cwd: path.join(siteRoot, 'src') });
+
+        assert.equal(new Set([plain, withEnv, inSrc]).size, 3);
+        // The order env entries were declared in does not matter.
+        assert.equal(
+            await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { env: { A: '1', B: '2' } }),
+            await computeTaskFingerprint(task, siteRoot, { mode: 'dev' }, { env: { B: '2', A: '1' } })
+        );
+    });
+});
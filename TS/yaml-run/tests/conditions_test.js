@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { openTaskCache } from '../lib/cache.js';
+import { evaluateCondition, parseCondition } from '../lib/conditions.js';
+
+const otherOs = Deno.build.os === 'windows' ? 'linux' : 'windows';
+
+/**
+ * Evaluates an `if:` map against a site directory holding `package.json`.
+ *
+ * @param {unknown} value
+ * @param {Record<string, unknown>} [variables]
+ */
+async function evaluate(value, variables = {}) {
+    const siteRoot = await Deno.makeTempDir({ prefix: 'yaml-run-conditions-' });
+
+    try {
+        await Deno.writeTextFile(path.join(siteRoot, 'package.json'), '{}');
+        return await evaluateCondition(parseCondition(value), { siteRoot, variables, key: 'test' });
+    } finally {
+        await Deno.remove(siteRoot, { recursive: true });
+    }
+}
+
+Deno.test('parseCondition normalises every condition', () => {
+    assert.deepEqual(parseCondition({ os: ['Linux', 'macos', 'win'], env: 'CI', exists: ' dist ', equals: ['{{mode}}', 1] }), {
+        os: ['linux', 'darwin', 'windows'],
+        exists: ['dist'],
+        env: ['CI'],
+        changed: [],
+        equals: ['{{mode}}', '1'],
+    });
+});
+
+Deno.test('parseCondition rejects malformed conditions', () => {
+    assert.throws(() => parseCondition('linux'), /must be a map of conditions/);
+    assert.throws(() => parseCondition({}), /must be a map of conditions/);
+    assert.throws(() => parseCondition({ platform: 'linux' }), /Unknown condition "platform"/);
+    assert.throws(() => parseCondition({ os: [] }), /must be a string or a list of strings/);
+    assert.throws(() => parseCondition({ exists: ['dist', 3] }), /must be a string or a list of strings/);
+    assert.throws(() => parseCondition({ env: '1BAD' }), /Invalid environment variable "1BAD"/);
+    assert.throws(() => parseCondition({ equals: ['a'] }), /must be a list of two values/);
+    assert.throws(() => parseCondition({ equals: [{}, 'a'] }), /must be a list of two values/);
+});
+
+Deno.test('evaluateCondition checks the OS', async () => {
+    assert.equal((await evaluate({ os: Deno.build.os })).met, true);
+
+    const result = await evaluate({ os: otherOs });
+    assert.equal(result.met, false);
+    assert.match(result.reason, new RegExp(`not ${otherOs}`));
+});
+
+Deno.test('evaluateCondition checks environment variables', async () => {
+    Deno.env.set('YAML_RUN_TEST_MODE', 'ci');
+
+    try {
+        assert.equal((await evaluate({ env: 'YAML_RUN_TEST_MODE' })).met, true);
+        assert.equal((await evaluate({ env: 'YAML_RUN_TEST_MODE={{mode}}' }, { mode: 'ci' })).met, true);
+        assert.equal((await evaluate({ env: 'YAML_RUN_TEST_MODE=local' })).reason, '$YAML_RUN_TEST_MODE is not "local"');
+        assert.equal((await evaluate({ env: 'YAML_RUN_TEST_UNSET' })).reason, '$YAML_RUN_TEST_UNSET is not set');
+    } finally {
+        Deno.env.delete('YAML_RUN_TEST_MODE');
+    }
+});
+
+Deno.test('evaluateCondition checks paths and globs relative to the site root', async () => {
+    assert.equal((await evaluate({ exists: 'package.json' })).met, true);
+    assert.equal((await evaluate({ exists: '*.json' })).met, true);
+    assert.equal((await evaluate({ exists: ['package.json', 'dist'] })).reason, 'dist does not exist');
+    assert.equal((await evaluate({ exists: '*.lock' })).met, false);
+});
+
+Deno.test('evaluateCondition compares values once placeholders are filled in', async () => {
+    assert.equal((await evaluate({ equals: ['{{mode}}', 'production'] }, { mode: 'production' })).met, true);
+    assert.equal((await evaluate({ equals: ['{{mode}}', 'production'] }, { mode: 'dev' })).reason, '"dev" is not "production"');
+});
+
+Deno.test('evaluateCondition needs every condition to hold', async () => {
+    assert.equal((await evaluate({ os: Deno.build.os, exists: 'dist' })).met, false);
+    assert.equal((await evaluate({ os: otherOs, exists: 'package.json' })).met, false);
+});
+
+Deno.test('evaluateCondition holds for changed files without a task cache', async () => {
+    assert.deepEqual(await evaluate({ changed: 'package.json' }), { met: true, reason: '', changed: null });
+});
+
+Deno.test('evaluateCondition holds for changed files until the step passes with them', async () => {
+    const siteRoot = await Deno.makeTempDir({ prefix: 'yaml-run-conditions-' });
+
+    try {
+        await Deno.writeTextFile(path.join(siteRoot, 'package.json'), '{}');
+        const taskCache = await openTaskCache(siteRoot);
+        const condition = parseCondition({ changed: 'package.json' });
+        const options = { siteRoot, variables: {}, taskCache, key: 'build' };
+
+        const first = await evaluateCondition(condition, options);
+        assert.equal(first.met, true);
+        assert.ok(first.changed);
+        assert.equal(first.changed.key, 'if.changed build');
+        await taskCache.record(first.changed.key, first.changed.fingerprint);
+
+        assert.equal((await evaluateCondition(condition, options)).reason, 'nothing changed in package.json');
+
+        await Deno.writeTextFile(path.join(siteRoot, 'package.json'), '{ "name": "site" }');
+        assert.equal((await evaluateCondition(condition, options)).met, true);
+    } finally {
+        await Deno.remove(siteRoot, { recursive: true });
+    }
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+
+import { createArgumentVariables } from '../lib/config.js';
+import { quoteArgument } from '../lib/placeholders.js';
+
+Deno.test('createArgumentVariables exposes positional arguments', () => {
+    const variables = createArgumentVariables(['build', 'web']);
+
+    assert.equal(variables['args.0'], 'build');
+    assert.equal(variables['args.1'], 'web');
+    assert.equal(variables['args.all'], 'build web');
+});
+
+Deno.test('createArgumentVariables reads flag values', () => {
+    const variables = createArgumentVariables(['--target', 'web', '--mode=prod', '--verbose', '-q']);
+
+    assert.equal(variables['args.target'], 'web');
+    assert.equal(variables['args.mode'], 'prod');
+    assert.equal(variables['args.verbose'], 'true');
+    assert.equal(variables['args.q'], 'true');
+});
+
+Deno.test('createArgumentVariables treats a flag followed by another flag as bare', () => {
+    const variables = createArgumentVariables(['--watch', '--port', '8080']);
+
+    assert.equal(variables['args.watch'], 'true');
+    assert.equal(variables['args.port'], '8080');
+});
+
+Deno.test('createArgumentVariables quotes args.all for the shell', () => {
+    const args = ['--title', 'hello world', '$HOME'];
+    const variables = createArgumentVariables(args);
+
+    assert.equal(variables['args.all'], args.map((arg) => quoteArgument(arg)).join(' '));
+    assert.equal(variables['args.title'], 'hello world');
+});
+
+Deno.test('createArgumentVariables has only args.all without arguments', () => {
+    assert.deepEqual(createArgumentVariables([]), { 'args.all': '' });
+});
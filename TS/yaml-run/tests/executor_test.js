@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+
+import { expandMatrix, getHookSteps, getRetryDelay, getStepPolicy } from '../lib/executor.js';
+
+Deno.test('getStepPolicy is null for a step without retry, timeout or continueOnError', () => {
+    assert.equal(getStepPolicy({ 'cross-shell': 'echo hi' }), null);
+});
+
+Deno.test('getStepPolicy reads a bare retry count and a timeout', () => {
+    assert.deepEqual(getStepPolicy({ retry: 2, timeout: '30s' }), {
+        retry: { count: 2, delayMs: 0, backoff: 'fixed' },
+        timeoutMs: 30_000,
+        continueOnError: false,
+    });
+});
+
+Deno.test('getStepPolicy reads a retry map', () => {
+    const policy = getStepPolicy({ retry: { count: 3, delayMs: '1s', backoff: 'exponential' }, continueOnError: true });
+
+    assert.deepEqual(policy, {
+        retry: { count: 3, delayMs: 1000, backoff: 'exponential' },
+        timeoutMs: null,
+        continueOnError: true,
+    });
+});
+
+Deno.test('getStepPolicy ignores invalid retry settings', () => {
+    const policy = getStepPolicy({ retry: { count: -1, delayMs: 'soon', backoff: 'random' } });
+
+    assert.deepEqual(policy?.retry, { count: 0, delayMs: 0, backoff: 'fixed' });
+    assert.equal(getStepPolicy({ retry: 1.5 })?.retry.count, 0);
+    assert.equal(getStepPolicy({ continueOnError: 'yes' })?.continueOnError, false);
+});
+
+Deno.test('getRetryDelay applies the backoff', () => {
+    const delays = (/** @type {'fixed' | 'linear' | 'exponential' | number} */ backoff) =>
+        [1, 2, 3].map((attempt) => getRetryDelay({ count: 3, delayMs: 100, backoff }, attempt));
+
+    assert.deepEqual(delays('fixed'), [100, 100, 100]);
+    assert.deepEqual(delays('linear'), [100, 200, 300]);
+    assert.deepEqual(delays('exponential'), [100, 200, 400]);
+    assert.deepEqual(delays(3), [100, 300, 900]);
+});
+
+Deno.test('expandMatrix returns every combination in declaration order', () => {
+    assert.deepEqual(expandMatrix({ site: ['a', 'b'], os: ['linux', 'windows'] }), [
+        { site: 'a', os: 'linux' },
+        { site: 'a', os: 'windows' },
+        { site: 'b', os: 'linux' },
+        { site: 'b', os: 'windows' },
+    ]);
+});
+
+Deno.test('expandMatrix treats a single value as a list of one', () => {
+    assert.deepEqual(expandMatrix({ site: 'a', node: [18, 20] }), [
+        { site: 'a', node: 18 },
+        { site: 'a', node: 20 },
+    ]);
+});
+
+Deno.test('expandMatrix has no combinations when a key lists no values', () => {
+    assert.deepEqual(expandMatrix({ site: ['a', 'b'], os: [] }), []);
+    assert.deepEqual(expandMatrix({}), [{}]);
+});
+
+Deno.test('getHookSteps reads before, after and finally steps', () => {
+    const task = { before: 'fs: mkdir dist', run: 'build', after: ['echo done', 'echo again'], finally: null };
+
+    assert.deepEqual(getHookSteps(task, 'before'), ['fs: mkdir dist']);
+    assert.deepEqual(getHookSteps(task, 'after'), ['echo done', 'echo again']);
+    assert.deepEqual(getHookSteps(task, 'finally'), []);
+});
+
+Deno.test('getHookSteps has no steps for a task that is not a map', () => {
+    assert.deepEqual(getHookSteps('echo hi', 'before'), []);
+    assert.deepEqual(getHookSteps(['echo hi'], 'finally'), []);
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+
+import { writeTarArchive } from '../lib/archive.js';
+import { getFsUsageError, parseFsArguments } from '../lib/fs-actions.js';
+
+Deno.test('parseFsArguments splits positionals from excludes', () => {
+    assert.deepEqual(parseFsArguments(['dist', '--exclude', '*.map', '--exclude=keep/**', 'build']), {
+        positionals: ['dist', 'build'],
+        excludes: ['*.map', 'keep/**'],
+        outputFile: null,
+        redirected: false,
+    });
+});
+
+Deno.test('parseFsArguments reads a trailing redirect', () => {
+    assert.deepEqual(parseFsArguments(['src/**', '>', 'hashes.txt']), {
+        positionals: ['src/**'],
+        excludes: [],
+        outputFile: 'hashes.txt',
+        redirected: true,
+    });
+
+    // Anything but exactly one file after `>` leaves the output file unset.
+    assert.equal(parseFsArguments(['src', '>']).outputFile, null);
+    assert.equal(parseFsArguments(['src', '>', 'a', 'b']).outputFile, null);
+});
+
+Deno.test('parseFsArguments records a dangling --exclude as empty', () => {
+    assert.deepEqual(parseFsArguments(['dist', '--exclude']).excludes, ['']);
+});
+
+Deno.test('getFsUsageError accepts well-formed actions', () => {
+    assert.equal(getFsUsageError('rm', ['dist', '--exclude', 'dist/keep']), null);
+    assert.equal(getFsUsageError('copy', ['src', 'dist']), null);
+    assert.equal(getFsUsageError('chmod', ['755', 'bin/run']), null);
+    assert.equal(getFsUsageError('hash', ['src/**', '>', 'hashes.txt']), null);
+    assert.equal(getFsUsageError('tar', ['out.tgz', 'dist']), null);
+});
+
+Deno.test('getFsUsageError explains malformed actions', () => {
+    assert.match(String(getFsUsageError('shred', ['a'])), /Unknown fs action: shred/);
+    assert.match(String(getFsUsageError('mkdir', ['a', '--exclude', 'b'])), /does not support --exclude/);
+    assert.match(String(getFsUsageError('rm', ['a', '--exclude'])), /--exclude requires a glob/);
+    assert.match(String(getFsUsageError('copy', ['a', '>', 'b'])), /Only `fs: hash` supports/);
+    assert.match(String(getFsUsageError('move', ['a'])), /exactly one source path and one destination path/);
+    assert.match(String(getFsUsageError('chmod', ['rwx', 'a'])), /mode must be octal/);
+    assert.match(String(getFsUsageError('hash', ['a', '>'])), /must be followed by exactly one file/);
+    assert.match(String(getFsUsageError('zip', ['out.zip'])), /requires an archive path and at least one source/);
+});
+
+/**
+ * Writes a tar archive into memory.
+ *
+ * @param {import('../lib/archive.js').ArchiveEntry[]} entries
+ */
+async function writeTarToMemory(entries) {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    await writeTarArchive(entries, new WritableStream({ write: (chunk) => void chunks.push(chunk.slice()) }));
+
+    const archive = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        archive.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return archive;
+}
+
+Deno.test('writeTarArchive splits long names into the ustar prefix', async () => {
+    const directory = `${'d'.repeat(120)}/sub`;
+    const archive = await writeTarToMemory([
+        { name: directory, isDirectory: true, sourcePath: '', size: 0, mtime: new Date(0), mode: 0o755 },
+    ]);
+    const decode = (/** @type {number} */ start, /** @type {number} */ length) =>
+        new TextDecoder().decode(archive.subarray(start, start + length)).replace(/\0+$/, '');
+
+    assert.equal(archive.length % 512, 0);
+    assert.equal(decode(257, 6), 'ustar');
+    assert.equal(decode(345, 155), 'd'.repeat(120));
+    assert.equal(decode(0, 100), 'sub/');
+});
+
+Deno.test('writeTarArchive rejects paths longer than ustar allows', async () => {
+    const name = `${'d'.repeat(200)}/${'f'.repeat(80)}`;
+
+    await assert.rejects(
+        writeTarToMemory([{ name, isDirectory: true, sourcePath: '', size: 0, mtime: new Date(0), mode: 0o755 }]),
+        /255/
+    );
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+
+import { quoteArgument } from '../lib/placeholders.js';
+
+const isWin = Deno.build.os === 'windows';
+
+Deno.test('quoteArgument leaves plain words alone', () => {
+    for (const style of /** @type {const} */ (['posix', 'powershell', 'cmd'])) {
+        assert.equal(quoteArgument('build', style), 'build');
+        assert.equal(quoteArgument('--mode=prod', style), '--mode=prod');
+        assert.equal(quoteArgument('dist/app.js', style), 'dist/app.js');
+    }
+});
+
+Deno.test('quoteArgument single-quotes for POSIX shells', () => {
+    assert.equal(quoteArgument('hello world', 'posix'), "'hello world'");
+    assert.equal(quoteArgument('$HOME', 'posix'), "'$HOME'");
+    assert.equal(quoteArgument("it's", 'posix'), "'it'\\''s'");
+    assert.equal(quoteArgument('', 'posix'), "''");
+});
+
+Deno.test('quoteArgument single-quotes for PowerShell and double-quotes for cmd', () => {
+    assert.equal(quoteArgument('$env:PATH', 'powershell'), "'$env:PATH'");
+    assert.equal(quoteArgument("it's", 'powershell'), "'it''s'");
+    assert.equal(quoteArgument('a "b"', 'cmd'), '"a ""b"""');
+});
+
+Deno.test({
+    name: 'quoteArgument keeps every value literal in sh',
+    ignore: isWin,
+    fn: async () => {
+        const values = ['$HOME', '$(id)', '`id`', "it's", 'a\\b', 'two  spaces', '*', 'line\nbreak', ''];
+
+        for (const value of values) {
+            const { stdout } = await new Deno.Command('sh', {
+                args: ['-c', `printf '%s' ${quoteArgument(value, 'posix')}`],
+                stdout: 'piped',
+            }).output();
+
+            assert.equal(new TextDecoder().decode(stdout), value);
+        }
+    },
+});
@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+
+import { parseDuration } from '../lib/utils.js';
+
+Deno.test('parseDuration reads units', () => {
+    assert.equal(parseDuration('500ms'), 500);
+    assert.equal(parseDuration('30s'), 30_000);
+    assert.equal(parseDuration('2m'), 120_000);
+    assert.equal(parseDuration('1h'), 3_600_000);
+    assert.equal(parseDuration('1.5s'), 1500);
+    assert.equal(parseDuration(' 10 S '), 10_000);
+});
+
+Deno.test('parseDuration treats bare numbers as milliseconds', () => {
+    assert.equal(parseDuration(250), 250);
+    assert.equal(parseDuration('250'), 250);
+    assert.equal(parseDuration(0), 0);
+});
+
+Deno.test('parseDuration rejects what it cannot read', () => {
+    for (const value of ['soon', '10 days', '-5s', '', -1, Infinity, NaN, null, undefined, {}]) {
+        assert.equal(parseDuration(value), null, `expected null for ${String(value)}`);
+    }
+});